@@ -34,6 +34,54 @@ const esmBuild = {
   format: 'esm',
 };
 
+// Node build (file-backed stores; also works for SSR)
+const nodeBuild = {
+  ...sharedConfig,
+  entryPoints: ['src/node.ts'],
+  outfile: 'dist/quickslice-client.node.js',
+  format: 'esm',
+  platform: 'node',
+  target: ['node18'],
+};
+
+// React bindings, sharing the core module with the app
+const reactBuild = {
+  ...sharedConfig,
+  entryPoints: ['src/react.ts'],
+  outfile: 'dist/react.js',
+  format: 'esm',
+  external: ['react', 'quickslice-client-js'],
+};
+
+// Vue composables
+const vueBuild = {
+  ...sharedConfig,
+  entryPoints: ['src/vue.ts'],
+  outfile: 'dist/vue.js',
+  format: 'esm',
+  external: ['vue', 'quickslice-client-js'],
+};
+
+// Svelte stores
+const svelteBuild = {
+  ...sharedConfig,
+  entryPoints: ['src/svelte.ts'],
+  outfile: 'dist/svelte.js',
+  format: 'esm',
+  external: ['quickslice-client-js'],
+};
+
+// Code generator CLI
+const codegenBuild = {
+  ...sharedConfig,
+  entryPoints: ['src/codegen/cli.ts'],
+  outfile: 'dist/codegen.js',
+  format: 'esm',
+  platform: 'node',
+  target: ['node18'],
+  banner: { js: '#!/usr/bin/env node' },
+};
+
 async function build() {
   if (watch) {
     const ctx = await esbuild.context(umdBuild);
@@ -44,6 +92,11 @@ async function build() {
       esbuild.build(umdBuild),
       esbuild.build(umdMinBuild),
       esbuild.build(esmBuild),
+      esbuild.build(nodeBuild),
+      esbuild.build(reactBuild),
+      esbuild.build(vueBuild),
+      esbuild.build(svelteBuild),
+      esbuild.build(codegenBuild),
     ]);
     console.log('Build complete!');
   }
@@ -0,0 +1,154 @@
+import { Storage } from '../storage/storage';
+import { ACCOUNT_STORE, withObjectStore } from '../storage/database';
+import { DPoPKeyData } from './keystore';
+import { clearDPoPKeys, getDPoPKey, setDPoPKey } from './dpop';
+import { clearTokens } from './tokens';
+
+/**
+ * An account signed in to this app
+ */
+export interface Account {
+  did: string;
+  /** Whether this is the account requests are made as */
+  active: boolean;
+}
+
+/**
+ * Session of a signed-in account that isn't the current one, with its
+ * own tokens and DPoP key
+ */
+export interface ParkedSession {
+  did: string;
+  accessToken: string | null;
+  refreshToken: string | null;
+  tokenExpiresAt: string | null;
+  /** OAuth client the tokens were issued to, needed to refresh them */
+  clientId: string | null;
+  dpopKey: DPoPKeyData | null;
+  parkedAt: number;
+}
+
+export interface SessionStore {
+  getAll(): Promise<ParkedSession[]>;
+  get(did: string): Promise<ParkedSession | null>;
+  put(session: ParkedSession): Promise<void>;
+  remove(did: string): Promise<void>;
+}
+
+/**
+ * The namespace's IndexedDB database where available, memory otherwise
+ */
+export function createSessionStore(namespace: () => string): SessionStore {
+  if (typeof indexedDB !== 'undefined') {
+    return {
+      getAll: () =>
+        withObjectStore(namespace(), ACCOUNT_STORE, 'readonly', (store) => store.getAll()),
+      async get(did) {
+        const session = await withObjectStore(namespace(), ACCOUNT_STORE, 'readonly', (store) =>
+          store.get(did)
+        );
+        return session || null;
+      },
+      async put(session) {
+        await withObjectStore(namespace(), ACCOUNT_STORE, 'readwrite', (store) =>
+          store.put(session)
+        );
+      },
+      async remove(did) {
+        await withObjectStore(namespace(), ACCOUNT_STORE, 'readwrite', (store) =>
+          store.delete(did)
+        );
+      },
+    };
+  }
+
+  const sessions = new Map<string, ParkedSession>();
+  return {
+    getAll: async () => [...sessions.values()],
+    get: async (did) => sessions.get(did) ?? null,
+    async put(session) {
+      sessions.set(session.did, session);
+    },
+    async remove(did) {
+      sessions.delete(did);
+    },
+  };
+}
+
+/**
+ * Move the current session into the store, leaving no one signed in.
+ * Returns the DID of the parked account, or null if no one was signed in.
+ */
+export async function parkSession(
+  storage: Storage,
+  namespace: string,
+  sessions: SessionStore
+): Promise<string | null> {
+  const did = await storage.get('userDid');
+  const accessToken = await storage.get('accessToken');
+  const refreshToken = await storage.get('refreshToken');
+  if (!did || !(accessToken || refreshToken)) {
+    return null;
+  }
+
+  await sessions.put({
+    did,
+    accessToken,
+    refreshToken,
+    tokenExpiresAt: await storage.get('tokenExpiresAt'),
+    clientId: await storage.get('clientId'),
+    dpopKey: await getDPoPKey(namespace),
+    parkedAt: Date.now(),
+  });
+
+  await clearTokens(storage);
+  // The parked session took its key along; the next login gets a fresh one
+  await clearDPoPKeys(namespace);
+  return did;
+}
+
+/**
+ * Make a parked session the current one. The current session must have
+ * been parked or ended first. Returns false if there is no such session.
+ * If it fails partway, the previous key is put back and no tokens are left.
+ */
+export async function resumeSession(
+  storage: Storage,
+  namespace: string,
+  sessions: SessionStore,
+  did: string
+): Promise<boolean> {
+  const session = await sessions.get(did);
+  if (!session) {
+    return false;
+  }
+
+  // Install the key before any tokens, so tokens never sit next to a key
+  // they aren't bound to
+  const previousKey = await getDPoPKey(namespace);
+  if (session.dpopKey) {
+    await setDPoPKey(namespace, session.dpopKey);
+  } else {
+    await clearDPoPKeys(namespace);
+  }
+
+  try {
+    await clearTokens(storage);
+    if (session.accessToken) await storage.set('accessToken', session.accessToken);
+    if (session.refreshToken) await storage.set('refreshToken', session.refreshToken);
+    if (session.tokenExpiresAt) await storage.set('tokenExpiresAt', session.tokenExpiresAt);
+    if (session.clientId) await storage.set('clientId', session.clientId);
+    await storage.set('userDid', session.did);
+  } catch (err) {
+    await clearTokens(storage);
+    if (previousKey) {
+      await setDPoPKey(namespace, previousKey);
+    } else {
+      await clearDPoPKeys(namespace);
+    }
+    throw err;
+  }
+
+  await sessions.remove(did);
+  return true;
+}
@@ -1,105 +1,190 @@
 import { generateRandomString } from '../utils/base64url';
 import { sha256Base64Url, signJwt } from '../utils/crypto';
+import { NetworkError } from '../errors';
+import { DPoPKeyData, DPoPKeyStore, DPOP_KEY_ID, createDefaultKeyStore } from './keystore';
 
-const DB_VERSION = 1;
-const KEY_STORE = 'dpop-keys';
-const KEY_ID = 'dpop-key';
+// DPoP key store per namespace
+const keyStores = new Map<string, DPoPKeyStore>();
 
-interface DPoPKeyData {
-  id: string;
-  privateKey: CryptoKey;
-  publicJwk: JsonWebKey;
-  createdAt: number;
+// Latest server-issued DPoP nonce per origin
+const dpopNonces = new Map<string, string>();
+
+/**
+ * Set where the DPoP key for a namespace is kept
+ */
+export function setDPoPKeyStore(namespace: string, keyStore: DPoPKeyStore): void {
+  keyStores.set(namespace, keyStore);
+}
+
+function getKeyStore(namespace: string): DPoPKeyStore {
+  let keyStore = keyStores.get(namespace);
+  if (!keyStore) {
+    keyStore = createDefaultKeyStore();
+    keyStores.set(namespace, keyStore);
+  }
+  return keyStore;
 }
 
-// Cache database connections per namespace
-const dbPromises = new Map<string, Promise<IDBDatabase>>();
+/**
+ * Generate a P-256 key pair, extractable only if the store must serialize it
+ */
+async function generateDPoPKey(keyStore: DPoPKeyStore): Promise<DPoPKeyData> {
+  const keyPair = await crypto.subtle.generateKey(
+    { name: 'ECDSA', namedCurve: 'P-256' },
+    keyStore.extractable,
+    ['sign']
+  );
+
+  // Export public key as JWK
+  const publicJwk = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
 
-function getDbName(namespace: string): string {
-  return `quickslice-oauth-${namespace}`;
+  return {
+    id: DPOP_KEY_ID,
+    privateKey: keyPair.privateKey,
+    publicJwk,
+    createdAt: Date.now(),
+  };
 }
 
-function openDatabase(namespace: string): Promise<IDBDatabase> {
-  const existing = dbPromises.get(namespace);
-  if (existing) return existing;
+export async function getOrCreateDPoPKey(namespace: string): Promise<DPoPKeyData> {
+  const keyStore = getKeyStore(namespace);
+  const keyData = await keyStore.get(namespace);
 
-  const promise = new Promise<IDBDatabase>((resolve, reject) => {
-    const request = indexedDB.open(getDbName(namespace), DB_VERSION);
+  if (keyData) {
+    return keyData;
+  }
 
-    request.onerror = () => reject(request.error);
-    request.onsuccess = () => resolve(request.result);
+  const newKeyData = await generateDPoPKey(keyStore);
+  await keyStore.put(namespace, newKeyData);
 
-    request.onupgradeneeded = (event) => {
-      const db = (event.target as IDBOpenDBRequest).result;
-      if (!db.objectStoreNames.contains(KEY_STORE)) {
-        db.createObjectStore(KEY_STORE, { keyPath: 'id' });
-      }
-    };
-  });
+  return newKeyData;
+}
 
-  dbPromises.set(namespace, promise);
-  return promise;
+/**
+ * The stored DPoP key for a namespace, without creating one
+ */
+export async function getDPoPKey(namespace: string): Promise<DPoPKeyData | null> {
+  return await getKeyStore(namespace).get(namespace);
 }
 
-async function getDPoPKey(namespace: string): Promise<DPoPKeyData | null> {
-  const db = await openDatabase(namespace);
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(KEY_STORE, 'readonly');
-    const store = tx.objectStore(KEY_STORE);
-    const request = store.get(KEY_ID);
+/**
+ * Replace the DPoP key for a namespace, e.g. with the key of the account
+ * being switched to. The new key is written over the old one, so a failed
+ * write leaves the old key in place.
+ */
+export async function setDPoPKey(namespace: string, keyData: DPoPKeyData): Promise<void> {
+  await getKeyStore(namespace).put(namespace, keyData);
+}
 
-    request.onerror = () => reject(request.error);
-    request.onsuccess = () => resolve(request.result || null);
-  });
+// Where the key of an addAccount() login waits in the namespace's key
+// store until the login completes
+function loginKeyName(namespace: string): string {
+  return `${namespace}/add-account`;
 }
 
-async function storeDPoPKey(
-  namespace: string,
-  privateKey: CryptoKey,
-  publicJwk: JsonWebKey
-): Promise<void> {
-  const db = await openDatabase(namespace);
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(KEY_STORE, 'readwrite');
-    const store = tx.objectStore(KEY_STORE);
-    const request = store.put({
-      id: KEY_ID,
-      privateKey,
-      publicJwk,
-      createdAt: Date.now(),
-    });
+/**
+ * Generate the DPoP key for a login that adds an account. It is kept apart
+ * from the namespace's key, which still belongs to the current session,
+ * until the login's callback is handled.
+ */
+export async function createLoginDPoPKey(namespace: string): Promise<DPoPKeyData> {
+  const keyStore = getKeyStore(namespace);
+  const keyData = await generateDPoPKey(keyStore);
+  await keyStore.put(loginKeyName(namespace), keyData);
+  return keyData;
+}
 
-    request.onerror = () => reject(request.error);
-    request.onsuccess = () => resolve();
-  });
+/**
+ * The key from createLoginDPoPKey(), if a login that adds an account is pending
+ */
+export async function getLoginDPoPKey(namespace: string): Promise<DPoPKeyData | null> {
+  return await getKeyStore(namespace).get(loginKeyName(namespace));
 }
 
-export async function getOrCreateDPoPKey(namespace: string): Promise<DPoPKeyData> {
-  const keyData = await getDPoPKey(namespace);
+export async function clearLoginDPoPKey(namespace: string): Promise<void> {
+  await getKeyStore(namespace).clear(loginKeyName(namespace));
+}
 
-  if (keyData) {
-    return keyData;
+function getOrigin(url: string): string {
+  return new URL(url).origin;
+}
+
+/**
+ * Get the most recent DPoP nonce issued by the server for a URL's origin
+ */
+export function getDPoPNonce(url: string): string | null {
+  return dpopNonces.get(getOrigin(url)) || null;
+}
+
+/**
+ * Remember the DPoP-Nonce header from a response, if present
+ */
+export function updateDPoPNonce(url: string, response: Response): void {
+  const nonce = response.headers.get('DPoP-Nonce');
+  if (nonce) {
+    dpopNonces.set(getOrigin(url), nonce);
   }
+}
 
-  // Generate new P-256 key pair
-  const keyPair = await crypto.subtle.generateKey(
-    { name: 'ECDSA', namedCurve: 'P-256' },
-    false, // NOT extractable - critical for security
-    ['sign']
-  );
+/**
+ * Check whether a response is a use_dpop_nonce challenge.
+ * Authorization servers answer with a 400 JSON error body,
+ * resource servers with a 401 WWW-Authenticate header.
+ */
+async function isDPoPNonceChallenge(response: Response): Promise<boolean> {
+  if (response.status === 401) {
+    const challenge = response.headers.get('WWW-Authenticate') || '';
+    return /^DPoP\b/i.test(challenge) && challenge.includes('use_dpop_nonce');
+  }
 
-  // Export public key as JWK
-  const publicJwk = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
+  if (response.status === 400) {
+    const errorData = await response.clone().json().catch(() => ({}));
+    return errorData.error === 'use_dpop_nonce';
+  }
 
-  // Store in IndexedDB
-  await storeDPoPKey(namespace, keyPair.privateKey, publicJwk);
+  return false;
+}
 
-  return {
-    id: KEY_ID,
-    privateKey: keyPair.privateKey,
-    publicJwk,
-    createdAt: Date.now(),
+/**
+ * Sends a request; fetch by default, swappable e.g. for XHR upload progress
+ */
+export type FetchLike = (url: string, init: RequestInit) => Promise<Response>;
+
+const defaultTransport: FetchLike = (url, init) => fetch(url, init);
+
+/**
+ * Send a request with a DPoP proof bound to it.
+ * Tracks the server nonce and retries once on a use_dpop_nonce challenge.
+ * Signs with `keyData` instead of the namespace's key when given.
+ */
+export async function fetchWithDPoP(
+  namespace: string,
+  url: string,
+  init: RequestInit & { method: string; headers?: Record<string, string> },
+  accessToken: string | null = null,
+  transport: FetchLike = defaultTransport,
+  keyData?: DPoPKeyData
+): Promise<Response> {
+  const send = async (): Promise<Response> => {
+    const dpopProof = await createDPoPProof(namespace, init.method, url, accessToken, keyData);
+    const response = await transport(url, {
+      ...init,
+      headers: { ...init.headers, DPoP: dpopProof },
+    }).catch((err) => {
+      throw new NetworkError(`Request to ${url} failed: ${err.message}`);
+    });
+    updateDPoPNonce(url, response);
+    return response;
   };
+
+  const response = await send();
+
+  // Only retry if the challenge came with a fresh nonce to use
+  if (response.headers.has('DPoP-Nonce') && (await isDPoPNonceChallenge(response))) {
+    return await send();
+  }
+
+  return response;
 }
 
 /**
@@ -109,9 +194,10 @@ export async function createDPoPProof(
   namespace: string,
   method: string,
   url: string,
-  accessToken: string | null = null
+  accessToken: string | null = null,
+  key?: DPoPKeyData
 ): Promise<string> {
-  const keyData = await getOrCreateDPoPKey(namespace);
+  const keyData = key ?? (await getOrCreateDPoPKey(namespace));
 
   // Strip WebCrypto-specific fields from JWK for interoperability
   const { kty, crv, x, y } = keyData.publicJwk;
@@ -135,20 +221,18 @@ export async function createDPoPProof(
     payload.ath = await sha256Base64Url(accessToken);
   }
 
+  // Include the server-issued nonce once we have one for this origin
+  const nonce = getDPoPNonce(url);
+  if (nonce) {
+    payload.nonce = nonce;
+  }
+
   return await signJwt(header, payload, keyData.privateKey);
 }
 
 /**
- * Clear DPoP keys from IndexedDB
+ * Clear DPoP keys from the key store
  */
 export async function clearDPoPKeys(namespace: string): Promise<void> {
-  const db = await openDatabase(namespace);
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(KEY_STORE, 'readwrite');
-    const store = tx.objectStore(KEY_STORE);
-    const request = store.clear();
-
-    request.onerror = () => reject(request.error);
-    request.onsuccess = () => resolve();
-  });
+  await getKeyStore(namespace).clear(namespace);
 }
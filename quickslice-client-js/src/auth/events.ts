@@ -0,0 +1,102 @@
+import { notifyListeners } from '../utils/listeners';
+
+export type AuthStateEvent = 'signedIn' | 'tokenRefreshed' | 'signedOut' | 'sessionExpired';
+
+export type AuthStateListener = (event: AuthStateEvent, user: { did: string } | null) => void;
+
+interface AuthStateMessage {
+  event: AuthStateEvent;
+  did: string | null;
+  // Makes every storage write unique so repeated events still fire
+  at: number;
+}
+
+// Listeners per namespace
+const listeners = new Map<string, Set<AuthStateListener>>();
+
+// Cross-tab transport per namespace (BroadcastChannel, or null for the storage-event fallback)
+const channels = new Map<string, BroadcastChannel | null>();
+
+function getChannelName(namespace: string): string {
+  return `quickslice-auth-${namespace}`;
+}
+
+function getEventKey(namespace: string): string {
+  return `quickslice_${namespace}_auth_event`;
+}
+
+function notify(namespace: string, message: AuthStateMessage): void {
+  const user = message.did ? { did: message.did } : null;
+  notifyListeners(listeners.get(namespace) ?? [], [message.event, user]);
+}
+
+/**
+ * Start listening for events from other tabs (once per namespace)
+ */
+function connect(namespace: string): void {
+  if (channels.has(namespace)) return;
+
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(getChannelName(namespace));
+    channel.onmessage = (event) => notify(namespace, event.data);
+    // Node keeps the process alive while a channel is open; there are no other tabs there
+    (channel as { unref?: () => void }).unref?.();
+    channels.set(namespace, channel);
+    return;
+  }
+
+  channels.set(namespace, null);
+
+  // Fallback: localStorage writes fire `storage` events in other tabs
+  if (typeof window !== 'undefined' && typeof localStorage !== 'undefined') {
+    const eventKey = getEventKey(namespace);
+    window.addEventListener('storage', (event) => {
+      if (event.key !== eventKey || !event.newValue) return;
+      try {
+        notify(namespace, JSON.parse(event.newValue));
+      } catch {
+        // Ignore malformed values
+      }
+    });
+  }
+}
+
+/**
+ * Listen for auth state changes in this tab and in other tabs
+ * Returns a function that removes the listener
+ */
+export function onAuthStateChange(namespace: string, listener: AuthStateListener): () => void {
+  connect(namespace);
+
+  let namespaceListeners = listeners.get(namespace);
+  if (!namespaceListeners) {
+    namespaceListeners = new Set();
+    listeners.set(namespace, namespaceListeners);
+  }
+  namespaceListeners.add(listener);
+
+  return () => {
+    namespaceListeners!.delete(listener);
+  };
+}
+
+/**
+ * Notify listeners in this tab and broadcast to other tabs
+ */
+export function emitAuthStateChange(
+  namespace: string,
+  event: AuthStateEvent,
+  did: string | null = null
+): void {
+  const message: AuthStateMessage = { event, did, at: Date.now() };
+
+  notify(namespace, message);
+
+  connect(namespace);
+  const channel = channels.get(namespace);
+  if (channel) {
+    channel.postMessage(message);
+  } else if (typeof localStorage !== 'undefined') {
+    localStorage.setItem(getEventKey(namespace), JSON.stringify(message));
+  }
+}
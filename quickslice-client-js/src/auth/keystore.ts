@@ -0,0 +1,80 @@
+import { DPOP_KEY_STORE, withObjectStore } from '../storage/database';
+
+const KEY_ID = 'dpop-key';
+
+export interface DPoPKeyData {
+  id: string;
+  privateKey: CryptoKey;
+  publicJwk: JsonWebKey;
+  createdAt: number;
+}
+
+/**
+ * Persists the DPoP signing key for a namespace
+ */
+export interface DPoPKeyStore {
+  /**
+   * Whether generated private keys must be extractable so the store can
+   * serialize them. Stores that keep CryptoKey objects as-is should say false.
+   */
+  extractable: boolean;
+  get(namespace: string): Promise<DPoPKeyData | null>;
+  put(namespace: string, keyData: DPoPKeyData): Promise<void>;
+  clear(namespace: string): Promise<void>;
+}
+
+export const DPOP_KEY_ID = KEY_ID;
+
+/**
+ * IndexedDB key store - keeps non-extractable CryptoKeys via structured clone
+ */
+export function createIndexedDBKeyStore(): DPoPKeyStore {
+  return {
+    extractable: false, // NOT extractable - critical for security
+
+    async get(namespace) {
+      const keyData = await withObjectStore(namespace, DPOP_KEY_STORE, 'readonly', (store) =>
+        store.get(KEY_ID)
+      );
+      return keyData || null;
+    },
+
+    async put(namespace, keyData) {
+      await withObjectStore(namespace, DPOP_KEY_STORE, 'readwrite', (store) =>
+        store.put(keyData)
+      );
+    },
+
+    async clear(namespace) {
+      await withObjectStore(namespace, DPOP_KEY_STORE, 'readwrite', (store) => store.clear());
+    },
+  };
+}
+
+/**
+ * In-memory key store - the key (and thus the DPoP-bound session) dies with the process
+ */
+export function createMemoryKeyStore(): DPoPKeyStore {
+  const keys = new Map<string, DPoPKeyData>();
+  return {
+    extractable: false,
+    async get(namespace) {
+      return keys.get(namespace) || null;
+    },
+    async put(namespace, keyData) {
+      keys.set(namespace, keyData);
+    },
+    async clear(namespace) {
+      keys.delete(namespace);
+    },
+  };
+}
+
+/**
+ * IndexedDB where available (browsers), memory otherwise
+ */
+export function createDefaultKeyStore(): DPoPKeyStore {
+  return typeof indexedDB !== 'undefined'
+    ? createIndexedDBKeyStore()
+    : createMemoryKeyStore();
+}
@@ -1,7 +1,12 @@
 import { Storage } from '../storage/storage';
-import { createDPoPProof, clearDPoPKeys } from './dpop';
+import { fetchWithDPoP, clearDPoPKeys } from './dpop';
+import { DPoPKeyData } from './keystore';
 import { generateCodeVerifier, generateCodeChallenge, generateState } from './pkce';
-import { storeTokens } from './tokens';
+import { storeTokens, postTokenRequest } from './tokens';
+import { emitAuthStateChange } from './events';
+import { NetworkError, OAuthError, QuicksliceError } from '../errors';
+
+const REVOKE_TIMEOUT_MS = 5000;
 
 export interface LoginOptions {
   handle?: string;
@@ -10,28 +15,96 @@ export interface LoginOptions {
 }
 
 /**
- * Initiate OAuth login flow with PKCE
+ * Look up the PAR endpoint in the authorization server metadata
+ * Returns null if the server doesn't publish metadata or doesn't advertise
+ * an endpoint; throws NetworkError if the metadata can't be fetched
  */
-export async function initiateLogin(
+export async function discoverParEndpoint(metadataUrl: string): Promise<string | null> {
+  let response: Response;
+  try {
+    response = await fetch(metadataUrl);
+  } catch (err) {
+    throw new NetworkError(`Failed to fetch server metadata: ${(err as Error).message}`);
+  }
+
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new NetworkError(`Failed to fetch server metadata: ${response.statusText}`, response.status);
+  }
+
+  const metadata = await response.json();
+  return metadata.pushed_authorization_request_endpoint || null;
+}
+
+/**
+ * Push the authorization parameters to the PAR endpoint (RFC 9126)
+ * Returns the request_uri to send to the authorize endpoint
+ */
+async function pushAuthorizationRequest(
+  namespace: string,
+  parUrl: string,
+  params: URLSearchParams,
+  keyData?: DPoPKeyData
+): Promise<string> {
+  const response = await fetchWithDPoP(
+    namespace,
+    parUrl,
+    {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: params,
+    },
+    null,
+    undefined,
+    keyData
+  );
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new OAuthError(
+      errorData.error || 'par_failed',
+      errorData.error_description || response.statusText
+    );
+  }
+
+  const data = await response.json();
+  return data.request_uri;
+}
+
+/**
+ * Prepare PKCE/state for a login and build the authorization URL
+ * With a PAR endpoint, the parameters are pushed to the server and the
+ * URL only carries client_id and request_uri, signed with `keyData`
+ * instead of the namespace's key when given
+ */
+export async function buildAuthorizationUrl(
   storage: Storage,
+  namespace: string,
   authorizeUrl: string,
   clientId: string,
-  options: LoginOptions = {}
-): Promise<void> {
+  options: LoginOptions = {},
+  parUrl: string | null = null,
+  keyData?: DPoPKeyData
+): Promise<string> {
   const codeVerifier = generateCodeVerifier();
   const codeChallenge = await generateCodeChallenge(codeVerifier);
   const state = generateState();
 
   // Build redirect URI (use provided or derive from current page)
+  if (!options.redirectUri && typeof window === 'undefined') {
+    throw new QuicksliceError('redirectUri is required outside the browser');
+  }
   const redirectUri = options.redirectUri || (window.location.origin + window.location.pathname);
 
   // Store for callback
-  storage.set('codeVerifier', codeVerifier);
-  storage.set('oauthState', state);
-  storage.set('clientId', clientId);
-  storage.set('redirectUri', redirectUri);
+  await storage.set('codeVerifier', codeVerifier);
+  await storage.set('oauthState', state);
+  await storage.set('clientId', clientId);
+  await storage.set('redirectUri', redirectUri);
 
-  // Build authorization URL
+  // Build authorization request parameters
   const params = new URLSearchParams({
     client_id: clientId,
     redirect_uri: redirectUri,
@@ -49,27 +122,55 @@ export async function initiateLogin(
     params.set('scope', options.scope);
   }
 
-  window.location.href = `${authorizeUrl}?${params.toString()}`;
+  if (parUrl) {
+    const requestUri = await pushAuthorizationRequest(namespace, parUrl, params, keyData);
+    const parParams = new URLSearchParams({
+      client_id: clientId,
+      request_uri: requestUri,
+    });
+    return `${authorizeUrl}?${parParams.toString()}`;
+  }
+
+  return `${authorizeUrl}?${params.toString()}`;
 }
 
 /**
- * Handle OAuth callback - exchange code for tokens
- * Returns true if callback was handled, false if not a callback
+ * Initiate OAuth login flow with PKCE
  */
-export async function handleOAuthCallback(
+export async function initiateLogin(
+  storage: Storage,
+  namespace: string,
+  authorizeUrl: string,
+  clientId: string,
+  options: LoginOptions = {},
+  parUrl: string | null = null
+): Promise<void> {
+  window.location.href = await buildAuthorizationUrl(
+    storage,
+    namespace,
+    authorizeUrl,
+    clientId,
+    options,
+    parUrl
+  );
+}
+
+/**
+ * Exchange the code from OAuth callback params for tokens
+ * Returns true if the params were a callback, false otherwise
+ */
+export async function exchangeAuthorizationCode(
   storage: Storage,
   namespace: string,
-  tokenUrl: string
+  tokenUrl: string,
+  params: URLSearchParams
 ): Promise<boolean> {
-  const params = new URLSearchParams(window.location.search);
   const code = params.get('code');
   const state = params.get('state');
   const error = params.get('error');
 
   if (error) {
-    throw new Error(
-      `OAuth error: ${error} - ${params.get('error_description') || ''}`
-    );
+    throw new OAuthError(error, params.get('error_description') || undefined);
   }
 
   if (!code || !state) {
@@ -77,73 +178,163 @@ export async function handleOAuthCallback(
   }
 
   // Verify state
-  const storedState = storage.get('oauthState');
+  const storedState = await storage.get('oauthState');
   if (state !== storedState) {
-    throw new Error('OAuth state mismatch - possible CSRF attack');
+    throw new OAuthError('invalid_state', 'OAuth state mismatch - possible CSRF attack');
   }
 
   // Get stored values
-  const codeVerifier = storage.get('codeVerifier');
-  const clientId = storage.get('clientId');
-  const redirectUri = storage.get('redirectUri');
+  const codeVerifier = await storage.get('codeVerifier');
+  const clientId = await storage.get('clientId');
+  const redirectUri = await storage.get('redirectUri');
 
   if (!codeVerifier || !clientId || !redirectUri) {
-    throw new Error('Missing OAuth session data');
+    throw new OAuthError('invalid_request', 'Missing OAuth session data');
   }
 
   // Exchange code for tokens with DPoP
-  const dpopProof = await createDPoPProof(namespace, 'POST', tokenUrl);
-
-  const tokenResponse = await fetch(tokenUrl, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded',
-      DPoP: dpopProof,
-    },
-    body: new URLSearchParams({
+  const tokenResponse = await postTokenRequest(
+    namespace,
+    tokenUrl,
+    new URLSearchParams({
       grant_type: 'authorization_code',
       code: code,
       redirect_uri: redirectUri,
       client_id: clientId,
       code_verifier: codeVerifier,
-    }),
-  });
+    })
+  );
 
   if (!tokenResponse.ok) {
     const errorData = await tokenResponse.json().catch(() => ({}));
-    throw new Error(
-      `Token exchange failed: ${errorData.error_description || tokenResponse.statusText}`
+    throw new OAuthError(
+      errorData.error || 'token_exchange_failed',
+      errorData.error_description || tokenResponse.statusText
     );
   }
 
   const tokens = await tokenResponse.json();
 
   // Store tokens
-  storeTokens(storage, tokens);
+  await storeTokens(storage, tokens);
 
   // Clean up OAuth state
-  storage.remove('codeVerifier');
-  storage.remove('oauthState');
-  storage.remove('redirectUri');
+  await storage.remove('codeVerifier');
+  await storage.remove('oauthState');
+  await storage.remove('redirectUri');
 
-  // Clear URL params
-  window.history.replaceState({}, document.title, window.location.pathname);
+  emitAuthStateChange(namespace, 'signedIn', tokens.sub || null);
 
   return true;
 }
 
 /**
- * Logout - clear all stored data
+ * Handle OAuth callback - exchange code for tokens
+ * Reads the current page URL unless a callback URL is given (e.g. on a server)
+ * Returns true if callback was handled, false if not a callback
+ */
+export async function handleOAuthCallback(
+  storage: Storage,
+  namespace: string,
+  tokenUrl: string,
+  callbackUrl?: string
+): Promise<boolean> {
+  const search = callbackUrl ? new URL(callbackUrl).search : window.location.search;
+  const params = new URLSearchParams(search);
+  const handled = await exchangeAuthorizationCode(storage, namespace, tokenUrl, params);
+
+  if (handled && !callbackUrl) {
+    // Clear URL params
+    window.history.replaceState({}, document.title, window.location.pathname);
+  }
+
+  return handled;
+}
+
+/**
+ * Revoke the session on the server (RFC 7009)
+ * Best effort: failures (e.g. offline) are ignored so logout always completes
+ */
+async function revokeTokens(
+  storage: Storage,
+  namespace: string,
+  revokeUrl: string
+): Promise<void> {
+  const refreshToken = await storage.get('refreshToken');
+  const accessToken = await storage.get('accessToken');
+  const clientId = await storage.get('clientId');
+
+  // Revoking the refresh token also revokes the access token issued with it
+  const token = refreshToken || accessToken;
+  if (!token || !clientId) return;
+
+  await revokeToken(namespace, revokeUrl, clientId, {
+    token,
+    tokenTypeHint: refreshToken ? 'refresh_token' : 'access_token',
+  });
+}
+
+/**
+ * Revoke one token, signing the request with `keyData` when the token
+ * belongs to another account than the current one. Best effort, like revokeTokens().
+ */
+export async function revokeToken(
+  namespace: string,
+  revokeUrl: string,
+  clientId: string,
+  revocation: { token: string; tokenTypeHint: 'refresh_token' | 'access_token' },
+  keyData?: DPoPKeyData
+): Promise<void> {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REVOKE_TIMEOUT_MS);
+
+  try {
+    await fetchWithDPoP(
+      namespace,
+      revokeUrl,
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: new URLSearchParams({
+          token: revocation.token,
+          token_type_hint: revocation.tokenTypeHint,
+          client_id: clientId,
+        }),
+        signal: controller.signal,
+      },
+      null,
+      undefined,
+      keyData
+    );
+  } catch {
+    // Offline or server unreachable - the tokens will expire on their own
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Logout - revoke tokens on the server, then clear all stored data
  */
 export async function logout(
   storage: Storage,
   namespace: string,
-  options: { reload?: boolean } = {}
+  revokeUrl: string,
+  options: { reload?: boolean; revoke?: boolean } = {}
 ): Promise<void> {
-  storage.clear();
+  // Revoke first: the request needs the tokens and the DPoP key
+  if (options.revoke !== false) {
+    await revokeTokens(storage, namespace, revokeUrl);
+  }
+
+  await storage.clear();
   await clearDPoPKeys(namespace);
 
-  if (options.reload !== false) {
+  emitAuthStateChange(namespace, 'signedOut');
+
+  if (options.reload !== false && typeof window !== 'undefined') {
     window.location.reload();
   }
 }
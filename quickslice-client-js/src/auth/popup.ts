@@ -0,0 +1,141 @@
+import { PopupError } from '../errors';
+
+const POPUP_WINDOW_NAME = 'quickslice-oauth-popup';
+const CALLBACK_MESSAGE_TYPE = 'quickslice:oauth-callback';
+const CALLBACK_CHANNEL = 'quickslice-oauth';
+const POPUP_TIMEOUT_MS = 5 * 60 * 1000; // 5 minutes
+const POPUP_POLL_INTERVAL_MS = 500;
+const POPUP_WIDTH = 500;
+const POPUP_HEIGHT = 650;
+
+interface CallbackMessage {
+  type: typeof CALLBACK_MESSAGE_TYPE;
+  search: string;
+}
+
+/**
+ * Open a centered, blank login popup.
+ * Must be called synchronously from the user gesture, before any await,
+ * or browsers will block it.
+ */
+export function openPopup(): Window {
+  const left = window.screenX + (window.outerWidth - POPUP_WIDTH) / 2;
+  const top = window.screenY + (window.outerHeight - POPUP_HEIGHT) / 2;
+
+  const popup = window.open(
+    '',
+    POPUP_WINDOW_NAME,
+    `popup,width=${POPUP_WIDTH},height=${POPUP_HEIGHT},left=${left},top=${top}`
+  );
+
+  if (!popup) {
+    throw new PopupError('blocked', 'Login popup was blocked by the browser');
+  }
+
+  return popup;
+}
+
+/**
+ * Wait for the callback page in the popup to relay the OAuth response.
+ * Listens on both postMessage and BroadcastChannel, since the opener
+ * reference can be lost when the authorization server sets COOP.
+ * That also makes `popup.closed` true while the popup is still open, so it
+ * only counts as closed where BroadcastChannel is unavailable; elsewhere a
+ * popup closed by the user ends in a timeout.
+ */
+export function waitForPopupCallback(
+  popup: Window,
+  state: string,
+  timeout = POPUP_TIMEOUT_MS
+): Promise<URLSearchParams> {
+  return new Promise((resolve, reject) => {
+    const channel =
+      typeof BroadcastChannel !== 'undefined'
+        ? new BroadcastChannel(CALLBACK_CHANNEL)
+        : null;
+
+    const cleanup = () => {
+      window.removeEventListener('message', onWindowMessage);
+      channel?.close();
+      clearInterval(pollTimer);
+      clearTimeout(timeoutTimer);
+    };
+
+    const onCallback = (data: unknown) => {
+      const message = data as CallbackMessage | null;
+      if (!message || message.type !== CALLBACK_MESSAGE_TYPE) return;
+
+      // Ignore callbacks belonging to another login attempt
+      const params = new URLSearchParams(message.search);
+      if (params.get('state') !== state) return;
+
+      cleanup();
+      resolve(params);
+    };
+
+    const onWindowMessage = (event: MessageEvent) => {
+      if (event.origin !== window.location.origin) return;
+      onCallback(event.data);
+    };
+
+    window.addEventListener('message', onWindowMessage);
+    if (channel) {
+      channel.onmessage = (event) => onCallback(event.data);
+    }
+
+    const pollTimer = channel
+      ? undefined
+      : setInterval(() => {
+          if (popup.closed) {
+            cleanup();
+            reject(new PopupError('closed', 'Login popup was closed before completing'));
+          }
+        }, POPUP_POLL_INTERVAL_MS);
+
+    const timeoutTimer = setTimeout(() => {
+      cleanup();
+      reject(new PopupError('timeout', 'Login popup timed out'));
+    }, timeout);
+  });
+}
+
+/**
+ * Check whether the current page is an OAuth callback loaded in the login popup
+ */
+export function isPopupCallback(): boolean {
+  if (typeof window === 'undefined' || window.name !== POPUP_WINDOW_NAME) return false;
+  const params = new URLSearchParams(window.location.search);
+  return params.has('state') && (params.has('code') || params.has('error'));
+}
+
+/**
+ * Relay the OAuth response from the popup back to the opener and close.
+ * Call this from the callback page (handleRedirectCallback does it automatically).
+ * Returns false if the current page is not an OAuth callback.
+ */
+export function handlePopupCallback(): boolean {
+  const params = new URLSearchParams(window.location.search);
+  if (!params.has('state')) return false;
+
+  const message: CallbackMessage = {
+    type: CALLBACK_MESSAGE_TYPE,
+    search: window.location.search,
+  };
+
+  if (window.opener) {
+    try {
+      window.opener.postMessage(message, window.location.origin);
+    } catch {
+      // Opener may be cross-origin or gone; BroadcastChannel covers it
+    }
+  }
+
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(CALLBACK_CHANNEL);
+    channel.postMessage(message);
+    channel.close();
+  }
+
+  window.close();
+  return true;
+}
@@ -0,0 +1,135 @@
+const DEFAULT_REFRESH_AHEAD_MS = 5 * 60 * 1000;
+const RETRY_DELAY_MS = 30000;
+// Longest delay setTimeout supports
+const MAX_DELAY_MS = 2 ** 31 - 1;
+
+export interface AutoRefreshOptions {
+  /** Refresh this long before the access token expires, in ms (default 5 minutes) */
+  ahead?: number;
+}
+
+/**
+ * What the scheduler needs from the client
+ */
+export interface RefreshTransport {
+  /** When the access token expires, or null without a refreshable session */
+  getExpiry(): Promise<number | null>;
+  /** Refresh unless the token is still valid for `minValidity` ms */
+  refresh(minValidity: number): Promise<unknown>;
+  /** Receives errors from reading the stored tokens */
+  reportError(error: unknown): void;
+}
+
+function isHidden(): boolean {
+  return typeof document !== 'undefined' && document.visibilityState === 'hidden';
+}
+
+/**
+ * Refreshes the access token ahead of expiry, so requests don't wait for
+ * a refresh. Pauses while the page is hidden and catches up when it is
+ * shown again. Tabs share refreshed tokens, so each refresh happens once.
+ */
+export class RefreshScheduler {
+  private transport: RefreshTransport;
+  private ahead: number;
+  private timer: ReturnType<typeof setTimeout> | null = null;
+  private started = false;
+  // Bumped by schedule() so only the latest read of the tokens sets the timer
+  private generation = 0;
+  private onVisibilityChange = () => this.schedule();
+
+  constructor(transport: RefreshTransport, options: AutoRefreshOptions = {}) {
+    this.transport = transport;
+    this.ahead = options.ahead ?? DEFAULT_REFRESH_AHEAD_MS;
+  }
+
+  /**
+   * Start scheduling. Called by the client's init() and on login.
+   */
+  start(): void {
+    if (!this.started) {
+      this.started = true;
+      if (typeof document !== 'undefined') {
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+      }
+    }
+    this.schedule();
+  }
+
+  /**
+   * Stop scheduling until start() is called again, e.g. after logout
+   */
+  stop(): void {
+    this.started = false;
+    this.cancel();
+    if (typeof document !== 'undefined') {
+      document.removeEventListener('visibilitychange', this.onVisibilityChange);
+    }
+  }
+
+  /**
+   * Plan the next refresh from the stored tokens, e.g. after they changed
+   */
+  schedule(): void {
+    this.cancel();
+    const generation = ++this.generation;
+    if (!this.started || isHidden()) return;
+
+    this.readExpiry().then((expiresAt) => {
+      // Stopped, hidden or rescheduled while reading the tokens
+      if (expiresAt === null || generation !== this.generation || !this.started || isHidden()) {
+        return;
+      }
+
+      // Tokens shorter-lived than `ahead` are refreshed halfway instead
+      const remaining = expiresAt - Date.now();
+      this.setTimer(Math.max(remaining - this.ahead, remaining / 2, 0));
+    }, this.fail);
+  }
+
+  private cancel(): void {
+    if (this.timer !== null) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  private setTimer(delay: number): void {
+    this.cancel();
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.refresh();
+    }, Math.min(delay, MAX_DELAY_MS));
+    // Don't keep Node processes alive just to refresh
+    (this.timer as { unref?: () => void }).unref?.();
+  }
+
+  private async refresh(): Promise<void> {
+    if (isHidden()) return;
+
+    try {
+      await this.transport.refresh(this.ahead);
+    } catch {
+      // A rejected refresh token ends the session (and with it the schedule);
+      // anything else, e.g. being offline, is retried
+      this.readExpiry().then((expiresAt) => {
+        if (expiresAt !== null && this.started) this.setTimer(RETRY_DELAY_MS);
+      }, this.fail);
+      return;
+    }
+    this.schedule();
+  }
+
+  // Async, so a getExpiry() that throws right away still ends up in fail()
+  private async readExpiry(): Promise<number | null> {
+    return this.transport.getExpiry();
+  }
+
+  /**
+   * The stored tokens couldn't be read; try again later
+   */
+  private fail = (error: unknown): void => {
+    this.transport.reportError(error);
+    if (this.started) this.setTimer(RETRY_DELAY_MS);
+  };
+}
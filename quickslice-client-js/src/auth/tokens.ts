@@ -1,11 +1,56 @@
 import { Storage } from '../storage/storage';
-import { acquireLock, releaseLock } from '../storage/lock';
-import { createDPoPProof } from './dpop';
+import { withLock } from '../storage/lock';
+import { fetchWithDPoP } from './dpop';
+import { emitAuthStateChange } from './events';
+import { LoginRequiredError, OAuthError, TimeoutError } from '../errors';
 
 const TOKEN_REFRESH_BUFFER_MS = 60000; // 60 seconds before expiry
+const TOKEN_REQUEST_TIMEOUT_MS = 30000;
 
-function sleep(ms: number): Promise<void> {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+/**
+ * Return the stored access token if it is valid for at least `minValidity` ms
+ */
+async function getCachedAccessToken(
+  storage: Storage,
+  minValidity: number
+): Promise<string | null> {
+  const accessToken = await storage.get('accessToken');
+  const expiresAt = parseInt((await storage.get('tokenExpiresAt')) || '0');
+  if (accessToken && Date.now() < expiresAt - minValidity) {
+    return accessToken;
+  }
+  return null;
+}
+
+/**
+ * POST to the token endpoint with DPoP, failing with TimeoutError if the
+ * server doesn't answer in time
+ */
+export async function postTokenRequest(
+  namespace: string,
+  tokenUrl: string,
+  body: URLSearchParams
+): Promise<Response> {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TOKEN_REQUEST_TIMEOUT_MS);
+
+  try {
+    return await fetchWithDPoP(namespace, tokenUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body,
+      signal: controller.signal,
+    });
+  } catch (err) {
+    if (controller.signal.aborted) {
+      throw new TimeoutError(`Token request timed out after ${TOKEN_REQUEST_TIMEOUT_MS}ms`);
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
 }
 
 /**
@@ -16,101 +61,111 @@ async function refreshTokens(
   namespace: string,
   tokenUrl: string
 ): Promise<string> {
-  const refreshToken = storage.get('refreshToken');
-  const clientId = storage.get('clientId');
+  const refreshToken = await storage.get('refreshToken');
+  const clientId = await storage.get('clientId');
 
   if (!refreshToken || !clientId) {
-    throw new Error('No refresh token available');
+    throw new LoginRequiredError('No refresh token available');
   }
 
-  const dpopProof = await createDPoPProof(namespace, 'POST', tokenUrl);
-
-  const response = await fetch(tokenUrl, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded',
-      DPoP: dpopProof,
-    },
-    body: new URLSearchParams({
+  const response = await postTokenRequest(
+    namespace,
+    tokenUrl,
+    new URLSearchParams({
       grant_type: 'refresh_token',
       refresh_token: refreshToken,
       client_id: clientId,
-    }),
-  });
+    })
+  );
 
   if (!response.ok) {
     const errorData = await response.json().catch(() => ({}));
-    throw new Error(
-      `Token refresh failed: ${errorData.error_description || response.statusText}`
+    throw new OAuthError(
+      errorData.error || 'refresh_failed',
+      errorData.error_description || response.statusText,
+      response.status
     );
   }
 
   const tokens = await response.json();
 
   // Store new tokens (rotation - new refresh token each time)
-  storage.set('accessToken', tokens.access_token);
+  await storage.set('accessToken', tokens.access_token);
   if (tokens.refresh_token) {
-    storage.set('refreshToken', tokens.refresh_token);
+    await storage.set('refreshToken', tokens.refresh_token);
   }
 
   const expiresAt = Date.now() + tokens.expires_in * 1000;
-  storage.set('tokenExpiresAt', expiresAt.toString());
+  await storage.set('tokenExpiresAt', expiresAt.toString());
+
+  emitAuthStateChange(namespace, 'tokenRefreshed', await storage.get('userDid'));
 
   return tokens.access_token;
 }
 
 /**
  * Get a valid access token, refreshing if necessary.
- * Uses multi-tab locking to prevent duplicate refresh requests.
+ * Uses a cross-tab lock so exactly one tab refreshes; the rest reuse its tokens.
+ * Pass `minValidity` (ms) to refresh a token that expires sooner than that.
  */
 export async function getValidAccessToken(
   storage: Storage,
   namespace: string,
-  tokenUrl: string
+  tokenUrl: string,
+  minValidity = TOKEN_REFRESH_BUFFER_MS
 ): Promise<string> {
-  const accessToken = storage.get('accessToken');
-  const expiresAt = parseInt(storage.get('tokenExpiresAt') || '0');
-
-  // Check if token is still valid (with buffer)
-  if (accessToken && Date.now() < expiresAt - TOKEN_REFRESH_BUFFER_MS) {
-    return accessToken;
+  const cachedToken = await getCachedAccessToken(storage, minValidity);
+  if (cachedToken) {
+    return cachedToken;
   }
 
-  // Need to refresh - acquire lock first
-  const lockKey = 'token_refresh';
-  const lockValue = await acquireLock(namespace, lockKey);
-
-  if (!lockValue) {
-    // Failed to acquire lock, another tab is refreshing
-    // Wait a bit and check cache again
-    await sleep(100);
-    const freshToken = storage.get('accessToken');
-    const freshExpiry = parseInt(storage.get('tokenExpiresAt') || '0');
-    if (freshToken && Date.now() < freshExpiry - TOKEN_REFRESH_BUFFER_MS) {
+  // Need to refresh - only one tab refreshes, the others wait for its result
+  return await withLock(storage.persistent, namespace, 'token_refresh', async () => {
+    // Another tab may have refreshed while we waited for the lock
+    const freshToken = await getCachedAccessToken(storage, minValidity);
+    if (freshToken) {
       return freshToken;
     }
-    throw new Error('Failed to refresh token');
-  }
 
-  try {
-    // Double-check after acquiring lock
-    const freshToken = storage.get('accessToken');
-    const freshExpiry = parseInt(storage.get('tokenExpiresAt') || '0');
-    if (freshToken && Date.now() < freshExpiry - TOKEN_REFRESH_BUFFER_MS) {
-      return freshToken;
+    try {
+      return await refreshTokens(storage, namespace, tokenUrl);
+    } catch (err) {
+      // The refresh token was revoked or already used: the session is over,
+      // so drop it and say so. Other failures (offline, 5xx) may pass.
+      if (err instanceof OAuthError && err.code === 'invalid_grant') {
+        await clearTokens(storage);
+        emitAuthStateChange(namespace, 'sessionExpired');
+      }
+      throw err;
     }
+  });
+}
 
-    // Actually refresh
-    return await refreshTokens(storage, namespace, tokenUrl);
-  } finally {
-    releaseLock(namespace, lockKey, lockValue);
+/**
+ * When the stored access token expires (ms since epoch), or null without a
+ * session that can be refreshed
+ */
+export async function getTokenExpiry(storage: Storage): Promise<number | null> {
+  if (!(await storage.get('refreshToken'))) {
+    return null;
   }
+  return parseInt((await storage.get('tokenExpiresAt')) || '0');
+}
+
+/**
+ * Remove the tokens and user of the current session
+ */
+export async function clearTokens(storage: Storage): Promise<void> {
+  await storage.remove('accessToken');
+  await storage.remove('refreshToken');
+  await storage.remove('tokenExpiresAt');
+  await storage.remove('userDid');
 }
 
 /**
  * Store tokens from OAuth response
  */
-export function storeTokens(
+export async function storeTokens(
   storage: Storage,
   tokens: {
     access_token: string;
@@ -118,25 +173,25 @@ export function storeTokens(
     expires_in: number;
     sub?: string;
   }
-): void {
-  storage.set('accessToken', tokens.access_token);
+): Promise<void> {
+  await storage.set('accessToken', tokens.access_token);
   if (tokens.refresh_token) {
-    storage.set('refreshToken', tokens.refresh_token);
+    await storage.set('refreshToken', tokens.refresh_token);
   }
 
   const expiresAt = Date.now() + tokens.expires_in * 1000;
-  storage.set('tokenExpiresAt', expiresAt.toString());
+  await storage.set('tokenExpiresAt', expiresAt.toString());
 
   if (tokens.sub) {
-    storage.set('userDid', tokens.sub);
+    await storage.set('userDid', tokens.sub);
   }
 }
 
 /**
  * Check if we have a valid session
  */
-export function hasValidSession(storage: Storage): boolean {
-  const accessToken = storage.get('accessToken');
-  const refreshToken = storage.get('refreshToken');
+export async function hasValidSession(storage: Storage): Promise<boolean> {
+  const accessToken = await storage.get('accessToken');
+  const refreshToken = await storage.get('refreshToken');
   return !!(accessToken || refreshToken);
 }
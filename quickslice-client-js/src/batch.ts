@@ -0,0 +1,82 @@
+import { GraphQLOperation, GraphQLResponse } from './graphql';
+import { GraphQLResponseError } from './errors';
+
+const DEFAULT_MAX_BATCH_SIZE = 10;
+
+export interface BatchOptions {
+  /** Most operations sent in one request; larger batches are split (default 10) */
+  maxSize?: number;
+}
+
+type SendBatch = (
+  operations: GraphQLOperation[],
+  requireAuth: boolean
+) => Promise<GraphQLResponse[]>;
+
+interface PendingOperation extends GraphQLOperation {
+  resolve: (data: any) => void;
+  reject: (error: unknown) => void;
+}
+
+/**
+ * Collects operations issued in the same tick and sends them as one
+ * array-batched POST. Authenticated and public operations are batched
+ * separately since they are sent differently.
+ */
+export class OperationBatcher {
+  private send: SendBatch;
+  private maxSize: number;
+  private queues = new Map<boolean, PendingOperation[]>();
+
+  constructor(send: SendBatch, options: BatchOptions = {}) {
+    this.send = send;
+    this.maxSize = options.maxSize || DEFAULT_MAX_BATCH_SIZE;
+  }
+
+  enqueue<T>(
+    query: string,
+    variables: Record<string, unknown>,
+    requireAuth: boolean
+  ): Promise<T> {
+    return new Promise<T>((resolve, reject) => {
+      let queue = this.queues.get(requireAuth);
+      if (!queue) {
+        queue = [];
+        this.queues.set(requireAuth, queue);
+        setTimeout(() => this.flush(requireAuth), 0);
+      }
+      queue.push({ query, variables, resolve, reject });
+    });
+  }
+
+  private flush(requireAuth: boolean): void {
+    const queue = this.queues.get(requireAuth) || [];
+    this.queues.delete(requireAuth);
+
+    for (let i = 0; i < queue.length; i += this.maxSize) {
+      this.sendBatch(queue.slice(i, i + this.maxSize), requireAuth);
+    }
+  }
+
+  private async sendBatch(batch: PendingOperation[], requireAuth: boolean): Promise<void> {
+    let results: GraphQLResponse[];
+    try {
+      results = await this.send(
+        batch.map(({ query, variables }) => ({ query, variables })),
+        requireAuth
+      );
+    } catch (err) {
+      batch.forEach((operation) => operation.reject(err));
+      return;
+    }
+
+    batch.forEach((operation, index) => {
+      const result = results[index];
+      if (result.errors && result.errors.length > 0) {
+        operation.reject(new GraphQLResponseError(result.errors, result.data));
+      } else {
+        operation.resolve(result.data);
+      }
+    });
+  }
+}
@@ -0,0 +1,191 @@
+import { FetchLike } from './auth/dpop';
+import { graphqlRequest } from './graphql';
+import { Storage } from './storage/storage';
+import { AbortError, BlobValidationError } from './errors';
+import { base64Encode } from './utils/base64url';
+
+/**
+ * Blob reference returned by uploadBlob, ready to use in record inputs
+ */
+export interface BlobRef {
+  ref: string;
+  mimeType: string;
+  size: number;
+}
+
+export interface UploadProgress {
+  /** Bytes of the upload request sent so far */
+  loaded: number;
+  /** Total bytes of the upload request (base64 makes it larger than the file) */
+  total: number;
+}
+
+export interface UploadBlobOptions {
+  /** Allowed MIME types; wildcards like "image/*" match any subtype */
+  accept?: string | string[];
+  /** Largest allowed blob size in bytes */
+  maxSize?: number;
+  /** MIME type to upload as, if the blob's own type is missing or wrong */
+  mimeType?: string;
+  onProgress?: (progress: UploadProgress) => void;
+  signal?: AbortSignal;
+}
+
+const UPLOAD_BLOB_MUTATION = `
+  mutation UploadBlob($data: String!, $mimeType: String!) {
+    uploadBlob(data: $data, mimeType: $mimeType) {
+      ref
+      mimeType
+      size
+    }
+  }
+`;
+
+function matchesMimeType(mimeType: string, pattern: string): boolean {
+  const normalized = pattern.trim().toLowerCase();
+  if (normalized === '*/*' || normalized === '*') return true;
+  if (normalized.endsWith('/*')) {
+    return mimeType.startsWith(normalized.slice(0, -1));
+  }
+  return mimeType === normalized;
+}
+
+/**
+ * Work out the MIME type to upload as and check it and the size against the
+ * options. Returns the MIME type.
+ */
+function validateBlob(blob: Blob, options: UploadBlobOptions): string {
+  const mimeType = (options.mimeType || blob.type || 'application/octet-stream').toLowerCase();
+
+  if (options.accept) {
+    const accepted = Array.isArray(options.accept)
+      ? options.accept
+      : options.accept.split(',');
+    if (!accepted.some((pattern) => matchesMimeType(mimeType, pattern))) {
+      throw new BlobValidationError(
+        'mimeType',
+        `MIME type ${mimeType} is not accepted (allowed: ${accepted.join(', ')})`
+      );
+    }
+  }
+
+  if (options.maxSize !== undefined && blob.size > options.maxSize) {
+    throw new BlobValidationError(
+      'size',
+      `Blob is ${blob.size} bytes, larger than the ${options.maxSize} byte limit`
+    );
+  }
+
+  return mimeType;
+}
+
+function parseResponseHeaders(raw: string): Headers {
+  const headers = new Headers();
+  for (const line of raw.trim().split(/[\r\n]+/)) {
+    const index = line.indexOf(':');
+    if (index > 0) {
+      headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
+    }
+  }
+  return headers;
+}
+
+/**
+ * Transport for the upload request. Uses XMLHttpRequest where available,
+ * since fetch can't report upload progress, and fetch elsewhere.
+ */
+function createUploadTransport(options: UploadBlobOptions): FetchLike {
+  const { onProgress, signal } = options;
+
+  if (typeof XMLHttpRequest === 'undefined') {
+    return async (url, init) => {
+      const response = await fetch(url, { ...init, signal });
+      // No progress events without XHR; report completion only
+      const total = typeof init.body === 'string' ? init.body.length : 0;
+      onProgress?.({ loaded: total, total });
+      return response;
+    };
+  }
+
+  return (url, init) =>
+    new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open(init.method || 'GET', url);
+
+      const headers = (init.headers || {}) as Record<string, string>;
+      for (const [name, value] of Object.entries(headers)) {
+        xhr.setRequestHeader(name, value);
+      }
+
+      if (onProgress) {
+        xhr.upload.onprogress = (event) => {
+          if (event.lengthComputable) {
+            onProgress({ loaded: event.loaded, total: event.total });
+          }
+        };
+      }
+
+      const onAbort = () => xhr.abort();
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      xhr.onload = () => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve(
+          new Response(xhr.responseText, {
+            status: xhr.status,
+            statusText: xhr.statusText,
+            headers: parseResponseHeaders(xhr.getAllResponseHeaders()),
+          })
+        );
+      };
+      xhr.onerror = () => {
+        signal?.removeEventListener('abort', onAbort);
+        reject(new TypeError('Network request failed'));
+      };
+      xhr.onabort = () => reject(new AbortError('Upload aborted'));
+
+      xhr.send(init.body as XMLHttpRequestBodyInit);
+    });
+}
+
+function throwIfAborted(signal?: AbortSignal): void {
+  if (signal?.aborted) {
+    throw new AbortError('Upload aborted');
+  }
+}
+
+/**
+ * Validate, base64-encode and upload a blob with the uploadBlob mutation
+ */
+export async function uploadBlob(
+  storage: Storage,
+  namespace: string,
+  graphqlUrl: string,
+  tokenUrl: string,
+  blob: Blob,
+  options: UploadBlobOptions = {}
+): Promise<BlobRef> {
+  const mimeType = validateBlob(blob, options);
+  throwIfAborted(options.signal);
+
+  const data = base64Encode(await blob.arrayBuffer());
+  throwIfAborted(options.signal);
+
+  try {
+    const result = await graphqlRequest<{ uploadBlob: BlobRef }>(
+      storage,
+      namespace,
+      graphqlUrl,
+      tokenUrl,
+      UPLOAD_BLOB_MUTATION,
+      { data, mimeType },
+      true,
+      createUploadTransport(options)
+    );
+    return result.uploadBlob;
+  } catch (err) {
+    // Transport failures surface as NetworkError; report aborts as such
+    throwIfAborted(options.signal);
+    throw err;
+  }
+}
@@ -0,0 +1,470 @@
+import { ErrorHandler, notifyListeners } from './utils/listeners';
+
+export type CachePolicy = 'cache-first' | 'network-first' | 'cache-and-network';
+
+/**
+ * A record inside a cached result. Fields marked `true` are read from the
+ * shared record; fields that contain other records keep their own shape.
+ */
+interface RecordRef {
+  __ref: string;
+  __fields: Record<string, unknown>;
+}
+
+interface CachedQuery {
+  result: unknown;
+  uris: Set<string>;
+}
+
+/**
+ * Provisional changes (e.g. an optimistic mutation result) applied on top
+ * of the cached data until they are removed
+ */
+interface OptimisticLayer {
+  id: number;
+  apply: (cache: NormalizedCache) => void;
+}
+
+interface QueryWatcher {
+  listeners: Set<(data: any) => void>;
+  // Serialized result last sent to the listeners
+  last: string | undefined;
+}
+
+const MISSING = Symbol('missing');
+
+function isObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isRecordRef(value: unknown): value is RecordRef {
+  return isObject(value) && typeof value.__ref === 'string';
+}
+
+/**
+ * Whether a list item is the record, or a connection edge whose node is
+ */
+function isItemFor(item: unknown, uri: string): boolean {
+  if (isRecordRef(item)) return item.__ref === uri;
+  return isObject(item) && isRecordRef(item.node) && item.node.__ref === uri;
+}
+
+/**
+ * Copy of a normalized result with the record taken out of every list
+ */
+function withoutRecord(value: unknown, uri: string): unknown {
+  if (Array.isArray(value)) {
+    return value.filter((item) => !isItemFor(item, uri)).map((item) => withoutRecord(item, uri));
+  }
+  if (!isObject(value)) {
+    return value;
+  }
+
+  const result: Record<string, unknown> = {};
+  for (const [key, child] of Object.entries(value)) {
+    result[key] = withoutRecord(child, uri);
+  }
+  return result;
+}
+
+function containsRecord(value: unknown): boolean {
+  if (Array.isArray(value)) {
+    return value.some(containsRecord);
+  }
+  if (!isObject(value)) {
+    return false;
+  }
+  return typeof value.uri === 'string' || Object.values(value).some(containsRecord);
+}
+
+/**
+ * Collection NSID of an AT-URI (at://did/collection/rkey)
+ */
+function getCollection(uri: string): string | null {
+  return uri.startsWith('at://') ? uri.slice(5).split('/')[1] || null : null;
+}
+
+/**
+ * Map each response key of an operation's top-level selection to the field
+ * it selects, so aliased fields are still recognized by their name
+ */
+function getRootFields(document: string): Map<string, string> {
+  const fields = new Map<string, string>();
+  const source = document.replace(/"""[\s\S]*?"""|"(?:[^"\\]|\\.)*"|#[^\n]*/g, '""');
+
+  // Keep only the top level of the operation's selection set
+  let depth = 0;
+  let inSelection = false;
+  let selection = '';
+  for (const char of source) {
+    if (char === '{' || char === '(') {
+      if (char === '{' && depth === 0) inSelection = true;
+      depth++;
+    } else if (char === '}' || char === ')') {
+      depth--;
+      if (inSelection && depth === 0) break;
+    } else if (inSelection && depth === 1) {
+      selection += char;
+    }
+  }
+
+  const tokens = selection.match(/\.\.\.\s*(?:on\s+)?\w+|@\w+|\w+|:/g) || [];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token === ':' || token.startsWith('.') || token.startsWith('@')) continue;
+    if (tokens[i + 1] === ':' && tokens[i + 2]) {
+      fields.set(token, tokens[i + 2]);
+      i += 2;
+    } else {
+      fields.set(token, token);
+    }
+  }
+  return fields;
+}
+
+/**
+ * Normalized cache for GraphQL results.
+ * Every object with a `uri` is stored once and shared between query results,
+ * so a record updated by one query or mutation is seen by all of them.
+ * Optimistic layers sit on top of the cached data and watchers hear about
+ * every change to the queries they watch.
+ */
+export class NormalizedCache {
+  private baseRecords = new Map<string, Record<string, unknown>>();
+  private baseQueries = new Map<string, CachedQuery>();
+  // What reads see: the base data, or a copy with the optimistic layers applied
+  private records = this.baseRecords;
+  private queries = this.baseQueries;
+  private layers: OptimisticLayer[] = [];
+  private applyingLayers = false;
+  private writing = false;
+  private nextLayerId = 1;
+  private watchers = new Map<string, QueryWatcher>();
+  private onError?: ErrorHandler;
+
+  /**
+   * @param onError - Receives errors thrown by watchers
+   */
+  constructor(onError?: ErrorHandler) {
+    this.onError = onError;
+  }
+
+  /**
+   * Cache key for a query and its variables. The client uses the scope
+   * 'auth' for query() and 'public' for publicQuery().
+   */
+  static key(query: string, variables: Record<string, unknown>, scope = ''): string {
+    return JSON.stringify([scope, query, variables]);
+  }
+
+  /**
+   * Read a cached query result, or undefined if it isn't (fully) cached
+   */
+  readQuery<T = unknown>(key: string): T | undefined {
+    const cached = this.queries.get(key);
+    if (!cached) return undefined;
+
+    const result = this.denormalize(cached.result);
+    return result === MISSING ? undefined : (result as T);
+  }
+
+  /**
+   * Store a query result, merging its records into the cache
+   */
+  writeQuery(key: string, data: unknown): void {
+    this.write(() => {
+      const uris = new Set<string>();
+      this.queries.set(key, { result: this.normalize(data, uris), uris });
+    });
+  }
+
+  /**
+   * Read the cached fields of a record by URI (nested records are not included)
+   */
+  readRecord<T = Record<string, unknown>>(uri: string): T | undefined {
+    const record = this.records.get(uri);
+    return record ? ({ ...record } as T) : undefined;
+  }
+
+  /**
+   * Merge a record (and any records nested in it) into the cache
+   */
+  writeRecord(record: Record<string, unknown>): void {
+    this.write(() => {
+      this.normalize(record, new Set());
+    });
+  }
+
+  /**
+   * Remove a record. Queries that contained it are dropped so they refetch.
+   */
+  evict(uri: string): void {
+    this.write(() => {
+      this.records.delete(uri);
+      this.queries.forEach((cached, key) => {
+        if (cached.uris.has(uri)) {
+          this.queries.delete(key);
+        }
+      });
+    });
+  }
+
+  /**
+   * Drop cached queries that contain records of a collection, e.g. after a
+   * record was created and lists of that collection are out of date
+   */
+  invalidateCollection(collection: string): void {
+    this.write(() => {
+      this.queries.forEach((cached, key) => {
+        for (const uri of cached.uris) {
+          if (getCollection(uri) === collection) {
+            this.queries.delete(key);
+            return;
+          }
+        }
+      });
+    });
+  }
+
+  /**
+   * Apply a mutation result: deleted records are evicted, created records
+   * invalidate lists of their collection and everything else is merged in.
+   * Fields are told apart by the name `mutation` selects them by, aliased
+   * or not.
+   * With `keepQueries` no cached query is dropped: deleted records are only
+   * taken out of cached lists and created records leave lists as they are,
+   * e.g. for optimistic results or when an update function maintains lists.
+   */
+  writeMutationResult(mutation: string, data: unknown, keepQueries = false): void {
+    if (!isObject(data)) return;
+
+    const fields = getRootFields(mutation);
+    this.write(() => {
+      for (const [key, value] of Object.entries(data)) {
+        const field = fields.get(key) ?? key;
+        const uri = isObject(value) && typeof value.uri === 'string' ? value.uri : null;
+
+        if (uri && field.startsWith('delete')) {
+          if (keepQueries) {
+            this.removeFromLists(uri);
+          } else {
+            this.evict(uri);
+          }
+          continue;
+        }
+
+        if (uri && field.startsWith('create') && !keepQueries) {
+          const collection = getCollection(uri);
+          if (collection) {
+            this.invalidateCollection(collection);
+          }
+        }
+
+        this.normalize(value, new Set());
+      }
+    });
+  }
+
+  /**
+   * Apply provisional changes on top of the cache, e.g. the expected result
+   * of a mutation. `apply` writes to the cache it is given and is re-run
+   * whenever the data underneath changes. Returns the layer's id.
+   */
+  addOptimisticLayer(apply: (cache: NormalizedCache) => void): number {
+    const id = this.nextLayerId++;
+    this.layers.push({ id, apply });
+    if (!this.writing) this.rebuild();
+    return id;
+  }
+
+  /**
+   * Remove an optimistic layer, rolling back its changes
+   */
+  removeOptimisticLayer(id: number): void {
+    const count = this.layers.length;
+    this.layers = this.layers.filter((layer) => layer.id !== id);
+    if (this.layers.length !== count && !this.writing) {
+      this.rebuild();
+    }
+  }
+
+  /**
+   * Make several changes at once; watchers hear about them together
+   */
+  batch(fn: () => void): void {
+    this.write(fn);
+  }
+
+  /**
+   * Call `listener` with the query's result (including optimistic changes)
+   * whenever it changes, and with undefined when it is evicted.
+   * Returns a function that stops watching.
+   */
+  watch<T = unknown>(key: string, listener: (data: T | undefined) => void): () => void {
+    let watcher = this.watchers.get(key);
+    if (!watcher) {
+      watcher = { listeners: new Set(), last: JSON.stringify(this.readQuery(key)) };
+      this.watchers.set(key, watcher);
+    }
+    watcher.listeners.add(listener);
+
+    return () => {
+      watcher!.listeners.delete(listener);
+      if (watcher!.listeners.size === 0) {
+        this.watchers.delete(key);
+      }
+    };
+  }
+
+  /**
+   * Remove everything, including optimistic layers
+   */
+  clear(): void {
+    this.layers = [];
+    this.write(() => {
+      this.records.clear();
+      this.queries.clear();
+    });
+  }
+
+  /**
+   * Run a change against the base data, then re-apply the optimistic
+   * layers on top. Inside a layer, changes go straight to the layered copy.
+   */
+  private write(fn: () => void): void {
+    if (this.applyingLayers || this.writing) {
+      fn();
+      return;
+    }
+
+    this.records = this.baseRecords;
+    this.queries = this.baseQueries;
+    this.writing = true;
+    try {
+      fn();
+    } finally {
+      this.writing = false;
+      this.rebuild();
+    }
+  }
+
+  private rebuild(): void {
+    this.records = this.baseRecords;
+    this.queries = this.baseQueries;
+
+    if (this.layers.length > 0) {
+      // Records and query entries are replaced rather than modified,
+      // so shallow copies keep the base data intact
+      this.records = new Map(this.baseRecords);
+      this.queries = new Map(this.baseQueries);
+      this.applyingLayers = true;
+      try {
+        for (const layer of this.layers) {
+          layer.apply(this);
+        }
+      } finally {
+        this.applyingLayers = false;
+      }
+    }
+
+    this.notifyWatchers();
+  }
+
+  private notifyWatchers(): void {
+    this.watchers.forEach((watcher, key) => {
+      const data = this.readQuery(key);
+      const serialized = JSON.stringify(data);
+      if (serialized === watcher.last) return;
+
+      watcher.last = serialized;
+      notifyListeners(watcher.listeners, [data], this.onError);
+    });
+  }
+
+  private removeFromLists(uri: string): void {
+    this.queries.forEach((cached, key) => {
+      if (cached.uris.has(uri)) {
+        this.queries.set(key, { result: withoutRecord(cached.result, uri), uris: cached.uris });
+      }
+    });
+  }
+
+  private normalize(value: unknown, uris: Set<string>): unknown {
+    if (Array.isArray(value)) {
+      return value.map((item) => this.normalize(item, uris));
+    }
+    if (!isObject(value)) {
+      return value;
+    }
+
+    if (typeof value.uri !== 'string') {
+      const normalized: Record<string, unknown> = {};
+      for (const [key, child] of Object.entries(value)) {
+        normalized[key] = this.normalize(child, uris);
+      }
+      return normalized;
+    }
+
+    const uri = value.uri;
+    const fields: Record<string, unknown> = {};
+    const stored: Record<string, unknown> = {};
+    for (const [key, child] of Object.entries(value)) {
+      if (containsRecord(child)) {
+        fields[key] = this.normalize(child, uris);
+      } else {
+        fields[key] = true;
+        stored[key] = child;
+      }
+    }
+
+    // Merge with fields selected by other queries
+    this.records.set(uri, { ...this.records.get(uri), ...stored });
+    uris.add(uri);
+
+    const ref: RecordRef = { __ref: uri, __fields: fields };
+    return ref;
+  }
+
+  private denormalize(value: unknown): unknown {
+    if (Array.isArray(value)) {
+      const items = [];
+      for (const item of value) {
+        const denormalized = this.denormalize(item);
+        if (denormalized === MISSING) return MISSING;
+        items.push(denormalized);
+      }
+      return items;
+    }
+    if (!isObject(value)) {
+      return value;
+    }
+
+    if (!isRecordRef(value)) {
+      const result: Record<string, unknown> = {};
+      for (const [key, child] of Object.entries(value)) {
+        const denormalized = this.denormalize(child);
+        if (denormalized === MISSING) return MISSING;
+        result[key] = denormalized;
+      }
+      return result;
+    }
+
+    // Evicted records make the whole result a cache miss
+    const record = this.records.get(value.__ref);
+    if (!record) return MISSING;
+
+    const result: Record<string, unknown> = {};
+    for (const [key, field] of Object.entries(value.__fields)) {
+      if (field === true) {
+        if (!(key in record)) return MISSING;
+        result[key] = record[key];
+        continue;
+      }
+
+      const denormalized = this.denormalize(field);
+      if (denormalized === MISSING) return MISSING;
+      result[key] = denormalized;
+    }
+    return result;
+  }
+}
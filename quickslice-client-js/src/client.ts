@@ -1,22 +1,183 @@
 import { createStorageKeys } from './storage/keys';
 import { createStorage, Storage } from './storage/storage';
-import { getOrCreateDPoPKey } from './auth/dpop';
-import { initiateLogin, handleOAuthCallback, logout as doLogout, LoginOptions } from './auth/oauth';
-import { getValidAccessToken, hasValidSession } from './auth/tokens';
-import { graphqlRequest } from './graphql';
+import { StorageAdapter } from './storage/adapters';
+import {
+  getOrCreateDPoPKey,
+  getDPoPKey,
+  setDPoPKey,
+  clearDPoPKeys,
+  createDPoPProof,
+  setDPoPKeyStore,
+  createLoginDPoPKey,
+  getLoginDPoPKey,
+  clearLoginDPoPKey,
+} from './auth/dpop';
+import { DPoPKeyData, DPoPKeyStore } from './auth/keystore';
+import {
+  onAuthStateChange,
+  emitAuthStateChange,
+  AuthStateEvent,
+  AuthStateListener,
+} from './auth/events';
+import {
+  Account,
+  SessionStore,
+  createSessionStore,
+  parkSession,
+  resumeSession,
+} from './auth/accounts';
+import {
+  initiateLogin,
+  buildAuthorizationUrl,
+  exchangeAuthorizationCode,
+  handleOAuthCallback,
+  discoverParEndpoint,
+  logout as doLogout,
+  revokeToken,
+  LoginOptions,
+} from './auth/oauth';
+import { openPopup, waitForPopupCallback, isPopupCallback, handlePopupCallback } from './auth/popup';
+import { getValidAccessToken, getTokenExpiry, hasValidSession } from './auth/tokens';
+import { RefreshScheduler, AutoRefreshOptions } from './auth/scheduler';
+import { graphqlRequest, graphqlBatchRequest, TypedDocument } from './graphql';
+import { OperationBatcher, BatchOptions } from './batch';
+import { SubscriptionManager, SubscriptionHandlers, WebSocketConstructor } from './subscriptions';
+import { NormalizedCache, CachePolicy } from './cache';
+import { Paginator, ConnectionOptions, fetchMoreEdges } from './pagination';
+import { uploadBlob, BlobRef, UploadBlobOptions } from './blobs';
+import { withRetry, withSignal, RetryOptions, RequestOptions } from './retry';
+import { OfflineQueue, OfflineQueueOptions } from './offline';
+import { ObservableQuery, WatchQueryOptions } from './observable';
+import { Moderation } from './moderation';
+import {
+  NotificationFeed,
+  NotificationFeedOptions,
+  ReadStateStore,
+  createReadStateStore,
+} from './notifications';
+import { withLock } from './storage/lock';
 import { generateNamespaceHash } from './utils/crypto';
+import { ErrorHandler, dispatchError, notifyListeners } from './utils/listeners';
+import { LoginRequiredError, NetworkError, OAuthError, QuicksliceError } from './errors';
 
 export interface QuicksliceClientOptions {
   server: string;
   clientId: string;
   redirectUri?: string;
   scope?: string;
+  /**
+   * Where tokens and OAuth session state are kept.
+   * Defaults to localStorage for tokens and sessionStorage for login state.
+   */
+  storage?: StorageAdapter;
+  /**
+   * Where the DPoP signing key is kept.
+   * Defaults to IndexedDB in browsers and memory elsewhere.
+   */
+  dpopKeyStore?: DPoPKeyStore;
+  /**
+   * Send login parameters via Pushed Authorization Requests (PAR).
+   * Defaults to using PAR when the server metadata advertises it.
+   */
+  usePar?: boolean;
+  /**
+   * Keep query results in a normalized cache keyed by record `uri`.
+   * Off by default; when on, queries use the cache-first policy unless
+   * another policy is passed.
+   */
+  cache?: boolean;
+  /**
+   * Send operations issued in the same tick as one array-batched POST.
+   * Pass an object to limit the batch size.
+   */
+  batch?: boolean | BatchOptions;
+  /**
+   * Retry queries that fail with a network error, 5xx or 429, with
+   * exponential backoff. Mutations are never retried. Pass false to disable.
+   */
+  retry?: RetryOptions | false;
+  /**
+   * Send queries by SHA-256 hash and only send the full document when the
+   * server doesn't know it yet (Automatic Persisted Queries). Off by default.
+   */
+  persistedQueries?: boolean;
+  /**
+   * Queue mutations that fail because the server can't be reached, persist
+   * them and send them in order once it can. Off by default.
+   */
+  offlineQueue?: boolean | OfflineQueueOptions;
+  /**
+   * Refresh the access token in the background before it expires, instead
+   * of when a request finds it expired. Paused while the page is hidden.
+   * Off by default.
+   */
+  autoRefresh?: boolean | AutoRefreshOptions;
+  /**
+   * WebSocket implementation for subscriptions, e.g. from the `ws` package
+   * in runtimes without a global WebSocket such as Node 20.
+   * Defaults to the global WebSocket.
+   */
+  webSocket?: WebSocketConstructor;
+  /**
+   * Receives errors nobody else is waiting for: thrown by listeners (auth,
+   * cache, watched queries, feeds) or subscription handlers, or from
+   * background work such as offline queue replays. Without it they go to
+   * `reportError` in browsers and `console.error` elsewhere.
+   */
+  onError?: (error: unknown) => void;
+}
+
+export interface QueryOptions extends RequestOptions {
+  /** How to use the cache (requires the `cache` client option, default cache-first) */
+  cachePolicy?: CachePolicy;
+  /** Override the client's `retry` option for this query */
+  retry?: RetryOptions | false;
+}
+
+export interface MutateOptions<T = unknown> extends RequestOptions {
+  /**
+   * Expected result, applied to the cache right away and replaced by the
+   * real one when it arrives, or rolled back if the mutation fails.
+   * Requires the `cache` option.
+   */
+  optimisticResponse?: T;
+  /**
+   * Apply a result to the cache yourself, e.g. to add a created record to
+   * a list. Called with the optimistic result and again with the real one.
+   * When given, the result no longer drops cached lists so they can be
+   * updated in place.
+   */
+  update?: (cache: NormalizedCache, data: T) => void;
+}
+
+export interface PaginateOptions extends QueryOptions, ConnectionOptions {
+  /** Run the query without authentication, like publicQuery() */
+  public?: boolean;
 }
 
 export interface User {
   did: string;
 }
 
+export interface PopupLoginOptions extends LoginOptions {
+  /** How long to wait for the user to finish logging in (ms, default 5 minutes) */
+  timeout?: number;
+}
+
+export interface AddAccountOptions extends PopupLoginOptions {
+  /** Log in through a popup instead of redirecting */
+  popup?: boolean;
+}
+
+export interface LogoutOptions {
+  /** Reload the page afterwards (default true; ignored when logging out another account) */
+  reload?: boolean;
+  /** Revoke the tokens on the server (default true) */
+  revoke?: boolean;
+  /** Log out this account instead of the current one */
+  did?: string;
+}
+
 export class QuicksliceClient {
   private server: string;
   private clientId: string;
@@ -25,43 +186,188 @@ export class QuicksliceClient {
   private graphqlUrl: string;
   private authorizeUrl: string;
   private tokenUrl: string;
-  private initialized = false;
+  private revokeUrl: string;
+  private metadataUrl: string;
+  private usePar?: boolean;
+  private parUrl: Promise<string | null> | null = null;
+  private initPromise: Promise<void> | null = null;
+  private listeningForAuth = false;
   private namespace: string = '';
+  private storageAdapter?: StorageAdapter;
+  private dpopKeyStore?: DPoPKeyStore;
   private storage: Storage | null = null;
+  private subscriptions: SubscriptionManager;
+  private authListeners = new Set<AuthStateListener>();
+  private batcher: OperationBatcher | null;
+  private inFlight = new Map<string, Promise<unknown>>();
+  private retry: RetryOptions | false;
+  private persistedQueries: boolean;
+  private notificationReadState: ReadStateStore;
+  private refreshScheduler: RefreshScheduler | null;
+  private sessions: SessionStore;
+  private onError?: ErrorHandler;
+
+  /** Normalized query cache, or null unless enabled with the `cache` option */
+  readonly cache: NormalizedCache | null;
+
+  /** Offline mutation queue, or null unless enabled with the `offlineQueue` option */
+  readonly offlineQueue: OfflineQueue | null;
+
+  /** Label preferences applied to records, preference changes and reports */
+  readonly moderation: Moderation;
 
   constructor(options: QuicksliceClientOptions) {
     this.server = options.server.replace(/\/$/, ''); // Remove trailing slash
     this.clientId = options.clientId;
     this.redirectUri = options.redirectUri;
     this.scope = options.scope;
+    this.storageAdapter = options.storage;
+    this.dpopKeyStore = options.dpopKeyStore;
+    this.usePar = options.usePar;
+    this.onError = options.onError;
+    this.cache = options.cache ? new NormalizedCache(this.onError) : null;
+    this.retry = options.retry ?? {};
+    this.persistedQueries = options.persistedQueries ?? false;
+    this.offlineQueue = options.offlineQueue
+      ? new OfflineQueue(
+          {
+            send: async (mutation) => {
+              // Mutations queued before a reload have no caller to apply their result
+              const data = await this.sendMutation(mutation.query, mutation.variables);
+              this.cache?.writeMutationResult(mutation.query, data);
+              return data;
+            },
+            getUserDid: async () => (await this.getUser())?.did ?? null,
+            withLock: (fn) =>
+              withLock(this.getStorage().persistent, this.namespace, 'mutation_queue', fn),
+            reportError: (error) => dispatchError(error, this.onError),
+          },
+          options.offlineQueue === true ? {} : options.offlineQueue
+        )
+      : null;
+    this.refreshScheduler = options.autoRefresh
+      ? new RefreshScheduler(
+          {
+            getExpiry: () => getTokenExpiry(this.getStorage()),
+            refresh: (minValidity) =>
+              getValidAccessToken(this.getStorage(), this.namespace, this.tokenUrl, minValidity),
+            reportError: (error) => dispatchError(error, this.onError),
+          },
+          options.autoRefresh === true ? {} : options.autoRefresh
+        )
+      : null;
+    this.sessions = createSessionStore(() => this.namespace);
+    this.moderation = new Moderation(this, this.onError);
+    this.notificationReadState = createReadStateStore(
+      () => this.getStorage().persistent,
+      () => this.namespace
+    );
+    this.batcher = options.batch
+      ? new OperationBatcher(
+          (operations, requireAuth) =>
+            graphqlBatchRequest(
+              this.getStorage(),
+              this.namespace,
+              this.graphqlUrl,
+              this.tokenUrl,
+              operations,
+              requireAuth,
+              undefined,
+              this.persistedQueries
+            ),
+          options.batch === true ? {} : options.batch
+        )
+      : null;
 
     this.graphqlUrl = `${this.server}/graphql`;
     this.authorizeUrl = `${this.server}/oauth/authorize`;
     this.tokenUrl = `${this.server}/oauth/token`;
+    this.revokeUrl = `${this.server}/oauth/revoke`;
+    this.metadataUrl = `${this.server}/.well-known/oauth-authorization-server`;
+
+    this.subscriptions = new SubscriptionManager(
+      this.graphqlUrl.replace(/^http/, 'ws'),
+      () => this.getSubscriptionConnectionParams(),
+      options.webSocket,
+      this.onError
+    );
   }
 
   /**
    * Initialize the client - must be called before other methods
+   * Concurrent calls share one initialization; a failed one can be retried
    */
-  async init(): Promise<void> {
-    if (this.initialized) return;
+  init(): Promise<void> {
+    if (!this.initPromise) {
+      this.initPromise = this.doInit().catch((err) => {
+        this.initPromise = null;
+        throw err;
+      });
+    }
+    return this.initPromise;
+  }
 
+  private async doInit(): Promise<void> {
     // Generate namespace from clientId
     this.namespace = await generateNamespaceHash(this.clientId);
 
     // Create namespaced storage
     const keys = createStorageKeys(this.namespace);
-    this.storage = createStorage(keys);
+    this.storage = createStorage(
+      keys,
+      this.storageAdapter
+        ? { persistent: this.storageAdapter, session: this.storageAdapter }
+        : undefined
+    );
 
     // Ensure DPoP key exists
+    if (this.dpopKeyStore) {
+      setDPoPKeyStore(this.namespace, this.dpopKeyStore);
+    }
     await getOrCreateDPoPKey(this.namespace);
 
-    this.initialized = true;
+    // Fan out auth events (from this tab and others) to client listeners,
+    // once even if a later step fails and init() is retried
+    if (!this.listeningForAuth) {
+      onAuthStateChange(this.namespace, (event, user) => this.handleAuthEvent(event, user));
+      this.listeningForAuth = true;
+    }
+
+    await this.offlineQueue?.start(this.namespace);
+    this.refreshScheduler?.start();
+  }
+
+  /**
+   * React to an auth event from this tab or another
+   */
+  private handleAuthEvent(event: AuthStateEvent, user: User | null): void {
+    // Re-authenticate the subscription socket when the session changes
+    // and drop cached results that belonged to the previous viewer
+    if (event !== 'tokenRefreshed') {
+      this.subscriptions.reconnect();
+      this.cache?.clear();
+    }
+    // Send mutations queued while the session was unusable
+    if (event === 'signedIn' || event === 'tokenRefreshed') {
+      this.offlineQueue?.replay();
+    }
+    // A new login replaces any earlier session of the same account
+    if (event === 'signedIn' && user) {
+      this.logoutParkedAccount(user.did, true).catch((err) => dispatchError(err, this.onError));
+    }
+    // Plan the next background refresh around the new tokens, or stop
+    // refreshing once the session is over
+    if (event === 'signedOut' || event === 'sessionExpired') {
+      this.refreshScheduler?.stop();
+    } else {
+      this.refreshScheduler?.start();
+    }
+    notifyListeners(this.authListeners, [event, user], this.onError);
   }
 
   private getStorage(): Storage {
     if (!this.storage) {
-      throw new Error('Client not initialized. Call init() first.');
+      throw new QuicksliceError('Client not initialized. Call init() first.');
     }
     return this.storage;
   }
@@ -71,28 +377,307 @@ export class QuicksliceClient {
    */
   async loginWithRedirect(options: LoginOptions = {}): Promise<void> {
     await this.init();
-    await initiateLogin(this.getStorage(), this.authorizeUrl, this.clientId, {
-      ...options,
-      redirectUri: options.redirectUri || this.redirectUri,
-      scope: options.scope || this.scope,
-    });
+    await initiateLogin(
+      this.getStorage(),
+      this.namespace,
+      this.authorizeUrl,
+      this.clientId,
+      {
+        ...options,
+        redirectUri: options.redirectUri || this.redirectUri,
+        scope: options.scope || this.scope,
+      },
+      await this.getParUrl()
+    );
+  }
+
+  /**
+   * Build the OAuth authorization URL without navigating to it.
+   * For scripts and servers: open the URL in a browser, then pass the
+   * callback URL to handleRedirectCallback(). Requires a redirectUri.
+   */
+  async getAuthorizationUrl(options: LoginOptions = {}): Promise<string> {
+    await this.init();
+    return await this.buildLoginUrl(options);
+  }
+
+  /**
+   * Build the authorization URL for a login whose pushed request, if any,
+   * is signed with `keyData` instead of the current key
+   */
+  private async buildLoginUrl(options: LoginOptions, keyData?: DPoPKeyData): Promise<string> {
+    return await buildAuthorizationUrl(
+      this.getStorage(),
+      this.namespace,
+      this.authorizeUrl,
+      this.clientId,
+      {
+        ...options,
+        redirectUri: options.redirectUri || this.redirectUri,
+        scope: options.scope || this.scope,
+      },
+      await this.getParUrl(),
+      keyData
+    );
+  }
+
+  /**
+   * Resolve the PAR endpoint, or null to put parameters in the URL
+   */
+  private getParUrl(): Promise<string | null> {
+    if (this.usePar === false) {
+      return Promise.resolve(null);
+    }
+    if (this.usePar === true) {
+      return Promise.resolve(`${this.server}/oauth/par`);
+    }
+
+    // Auto-detect from the server metadata; only a successful lookup is
+    // kept, and a failed one falls back to URL parameters for this login
+    if (!this.parUrl) {
+      const lookup = discoverParEndpoint(this.metadataUrl);
+      this.parUrl = lookup;
+      lookup.catch(() => {
+        if (this.parUrl === lookup) this.parUrl = null;
+      });
+    }
+    return this.parUrl.catch(() => null);
+  }
+
+  /**
+   * Start OAuth login flow in a popup, keeping the current page intact.
+   * Call from a user gesture (e.g. a click handler) so the popup isn't blocked.
+   * Resolves with the user once the popup's callback page has been handled.
+   */
+  async loginWithPopup(options: PopupLoginOptions = {}): Promise<User> {
+    // Open before any await so the browser attributes it to the user gesture
+    const popup = openPopup();
+    return this.finishPopupLogin(popup, options);
+  }
+
+  /**
+   * Run a login in an already opened popup and resolve with the user
+   */
+  private async finishPopupLogin(
+    popup: Window,
+    options: PopupLoginOptions,
+    addingAccount = false
+  ): Promise<User> {
+    try {
+      await this.init();
+      const storage = this.getStorage();
+
+      popup.location.href = await this.buildLoginUrl(
+        options,
+        addingAccount ? await createLoginDPoPKey(this.namespace) : undefined
+      );
+
+      const params = await waitForPopupCallback(
+        popup,
+        (await storage.get('oauthState')) || '',
+        options.timeout
+      );
+
+      const handled = await this.exchangeCallback(addingAccount, () =>
+        exchangeAuthorizationCode(storage, this.namespace, this.tokenUrl, params)
+      );
+      if (!handled) {
+        throw new OAuthError('invalid_request', 'Popup callback did not include an authorization code');
+      }
+    } finally {
+      if (!popup.closed) {
+        popup.close();
+      }
+    }
+
+    const user = await this.getUser();
+    if (!user) {
+      throw new OAuthError('invalid_token', 'Token response did not include a user DID');
+    }
+    return user;
   }
 
   /**
    * Handle OAuth callback after redirect
    * Returns true if callback was handled
+   * Inside a loginWithPopup() popup, relays the response to the opener and closes
+   * Outside the browser, pass the full callback URL
+   */
+  async handleRedirectCallback(callbackUrl?: string): Promise<boolean> {
+    if (!callbackUrl && isPopupCallback()) {
+      return handlePopupCallback();
+    }
+
+    await this.init();
+    const storage = this.getStorage();
+
+    // A callback for addAccount() carries the state that was saved for it
+    const search = callbackUrl ? new URL(callbackUrl).search : window.location.search;
+    const state = new URLSearchParams(search).get('state');
+    const addingAccount = state !== null && state === (await storage.get('addAccountState'));
+
+    return await this.exchangeCallback(addingAccount, () =>
+      handleOAuthCallback(storage, this.namespace, this.tokenUrl, callbackUrl)
+    );
+  }
+
+  /**
+   * Exchange an OAuth callback for tokens. For an addAccount() login, the
+   * current session is parked and the login's own DPoP key installed
+   * first. If the exchange fails, the parked session and its key are made
+   * current again, so the previous account is only replaced by a finished
+   * login.
+   */
+  private async exchangeCallback(
+    addingAccount: boolean,
+    exchange: () => Promise<boolean>
+  ): Promise<boolean> {
+    if (!addingAccount) {
+      return exchange();
+    }
+
+    const storage = this.getStorage();
+    await storage.remove('addAccountState');
+    const loginKey = await getLoginDPoPKey(this.namespace);
+    if (!loginKey) {
+      throw new OAuthError('invalid_request', 'Missing OAuth session data');
+    }
+    await clearLoginDPoPKey(this.namespace);
+
+    const previousKey = await getDPoPKey(this.namespace);
+    const parked = await withLock(storage.persistent, this.namespace, 'token_refresh', async () => {
+      const did = await parkSession(storage, this.namespace, this.sessions);
+      await setDPoPKey(this.namespace, loginKey);
+      return did;
+    });
+
+    let handled = false;
+    try {
+      handled = await exchange();
+      return handled;
+    } finally {
+      if (!handled) {
+        await withLock(storage.persistent, this.namespace, 'token_refresh', async () => {
+          if (parked) {
+            await resumeSession(storage, this.namespace, this.sessions, parked);
+          } else if (previousKey) {
+            await setDPoPKey(this.namespace, previousKey);
+          } else {
+            await clearDPoPKeys(this.namespace);
+          }
+        });
+      }
+    }
+  }
+
+  /**
+   * Logout: revoke the session on the server and clear its stored data
+   * Pass { revoke: false } to only clear local state
+   * Other signed-in accounts stay signed in; pass { did } to log out one of them
+   */
+  async logout(options: LogoutOptions = {}): Promise<void> {
+    await this.init();
+
+    const user = await this.getUser();
+    if (options.did && options.did !== user?.did) {
+      await this.logoutParkedAccount(options.did, options.revoke !== false);
+      return;
+    }
+
+    await doLogout(this.getStorage(), this.namespace, this.revokeUrl, options);
+  }
+
+  /**
+   * Accounts signed in to this app, the current one first
    */
-  async handleRedirectCallback(): Promise<boolean> {
+  async listAccounts(): Promise<Account[]> {
+    const user = await this.getUser();
+    const parked = (await this.sessions.getAll())
+      .filter((session) => session.did !== user?.did)
+      .sort((a, b) => a.parkedAt - b.parkedAt);
+
+    return [
+      ...(user ? [{ did: user.did, active: true }] : []),
+      ...parked.map((session) => ({ did: session.did, active: false })),
+    ];
+  }
+
+  /**
+   * Make another signed-in account the current one. The previous account
+   * stays signed in, and stays current if the switch fails. Emits
+   * `signedIn` for the new account.
+   */
+  async switchAccount(did: string): Promise<User> {
     await this.init();
-    return await handleOAuthCallback(this.getStorage(), this.namespace, this.tokenUrl);
+    const user = await this.getUser();
+    if (user?.did === did) {
+      return user;
+    }
+
+    const storage = this.getStorage();
+    // Hold the refresh lock so no tab refreshes tokens halfway through the swap
+    await withLock(storage.persistent, this.namespace, 'token_refresh', async () => {
+      if (!(await this.sessions.get(did))) {
+        throw new LoginRequiredError(`Account ${did} is not signed in`);
+      }
+      const previous = await parkSession(storage, this.namespace, this.sessions);
+      try {
+        await resumeSession(storage, this.namespace, this.sessions, did);
+      } catch (err) {
+        // Stay with the account we had rather than none at all
+        if (previous) {
+          await resumeSession(storage, this.namespace, this.sessions, previous);
+        }
+        throw err;
+      }
+    });
+
+    emitAuthStateChange(this.namespace, 'signedIn', did);
+    return { did };
   }
 
   /**
-   * Logout and clear all stored data
+   * Log in to another account while keeping the current one signed in.
+   * Redirects like loginWithRedirect() and resolves with null, or with
+   * `popup: true` logs in like loginWithPopup() and resolves with the new
+   * user. The new login gets its own DPoP key. The current account stays
+   * current until the new login's callback has been handled, and again if
+   * that fails.
    */
-  async logout(options: { reload?: boolean } = {}): Promise<void> {
+  async addAccount(options: AddAccountOptions = {}): Promise<User | null> {
+    const { popup: usePopup, ...loginOptions } = options;
+    if (usePopup) {
+      // Open before any await so the browser attributes it to the user gesture
+      return this.finishPopupLogin(openPopup(), loginOptions, true);
+    }
+
     await this.init();
-    await doLogout(this.getStorage(), this.namespace, options);
+    const url = await this.buildLoginUrl(loginOptions, await createLoginDPoPKey(this.namespace));
+    // Lets handleRedirectCallback() tell this login apart from a plain one
+    const storage = this.getStorage();
+    await storage.set('addAccountState', (await storage.get('oauthState')) || '');
+    window.location.href = url;
+    return null;
+  }
+
+  /**
+   * Revoke and forget the session of an account that isn't the current one
+   */
+  private async logoutParkedAccount(did: string, revoke: boolean): Promise<void> {
+    const session = await this.sessions.get(did);
+    if (!session) return;
+
+    await this.sessions.remove(did);
+    const token = session.refreshToken || session.accessToken;
+    if (revoke && token) {
+      await revokeToken(
+        this.namespace,
+        this.revokeUrl,
+        session.clientId || this.clientId,
+        { token, tokenTypeHint: session.refreshToken ? 'refresh_token' : 'access_token' },
+        session.dpopKey ?? undefined
+      );
+    }
   }
 
   /**
@@ -100,7 +685,19 @@ export class QuicksliceClient {
    */
   async isAuthenticated(): Promise<boolean> {
     await this.init();
-    return hasValidSession(this.getStorage());
+    return await hasValidSession(this.getStorage());
+  }
+
+  /**
+   * Listen for auth state changes: signedIn, tokenRefreshed, signedOut
+   * and sessionExpired. Events from other tabs are delivered too.
+   * Returns a function that removes the listener.
+   */
+  onAuthStateChange(listener: AuthStateListener): () => void {
+    this.authListeners.add(listener);
+    return () => {
+      this.authListeners.delete(listener);
+    };
   }
 
   /**
@@ -109,11 +706,11 @@ export class QuicksliceClient {
    */
   async getUser(): Promise<User | null> {
     await this.init();
-    if (!hasValidSession(this.getStorage())) {
+    if (!(await hasValidSession(this.getStorage()))) {
       return null;
     }
 
-    const did = this.getStorage().get('userDid');
+    const did = await this.getStorage().get('userDid');
     if (!did) {
       return null;
     }
@@ -132,11 +729,203 @@ export class QuicksliceClient {
   /**
    * Execute a GraphQL query (authenticated)
    */
-  async query<T = unknown>(
+  async query<T = unknown, V extends Record<string, unknown> = Record<string, unknown>>(
+    query: TypedDocument<T, V> | string,
+    variables: V = {} as V,
+    options: QueryOptions = {}
+  ): Promise<T> {
+    return this.cachedRequest<T>(query, variables, true, options);
+  }
+
+  /**
+   * Execute a GraphQL mutation (authenticated)
+   * With the cache enabled, records in the result are updated in the cache,
+   * deleted records are evicted and created records invalidate their lists.
+   * Mutations are not retried, since a failed attempt may still have applied.
+   * With the offline queue enabled, a mutation the server can't be reached
+   * for is queued and the promise resolves once it has been sent; calls
+   * with a signal or timeout are never queued.
+   * An `optimisticResponse` shows up in cached and watched queries until
+   * the real result replaces it, and is rolled back if the mutation fails.
+   */
+  async mutate<T = unknown, V extends Record<string, unknown> = Record<string, unknown>>(
+    mutation: TypedDocument<T, V> | string,
+    variables: V = {} as V,
+    options: MutateOptions<T> = {}
+  ): Promise<T> {
+    const { optimisticResponse, update, ...requestOptions } = options;
+    const cache = this.cache;
+
+    const layer =
+      cache && optimisticResponse !== undefined
+        ? cache.addOptimisticLayer((layered) => {
+            layered.writeMutationResult(mutation, optimisticResponse, true);
+            update?.(layered, optimisticResponse);
+          })
+        : null;
+
+    let data: T;
+    try {
+      if (this.offlineQueue && !requestOptions.signal && !requestOptions.timeout) {
+        await this.init();
+        data = await this.offlineQueue.run<T>(mutation, variables, () =>
+          this.sendMutation<T>(mutation, variables)
+        );
+      } else {
+        data = await this.sendMutation<T>(mutation, variables, requestOptions);
+      }
+    } catch (err) {
+      if (layer !== null) cache!.removeOptimisticLayer(layer);
+      throw err;
+    }
+
+    // Swap the optimistic result for the real one in a single change
+    cache?.batch(() => {
+      if (layer !== null) cache.removeOptimisticLayer(layer);
+      cache.writeMutationResult(mutation, data, update !== undefined);
+      update?.(cache, data);
+    });
+    return data;
+  }
+
+  /**
+   * Send a mutation once, without retries
+   */
+  private sendMutation<T>(
+    mutation: string,
+    variables: Record<string, unknown>,
+    options: RequestOptions = {}
+  ): Promise<T> {
+    return this.request<T>(mutation, variables, true, { ...options, retry: false }, true);
+  }
+
+  /**
+   * Execute a public GraphQL query (no auth)
+   */
+  async publicQuery<T = unknown, V extends Record<string, unknown> = Record<string, unknown>>(
+    query: TypedDocument<T, V> | string,
+    variables: V = {} as V,
+    options: QueryOptions = {}
+  ): Promise<T> {
+    return this.cachedRequest<T>(query, variables, false, options);
+  }
+
+  /**
+   * Watch a query: returns an object to subscribe to for its loading, data
+   * and error states, kept up to date with the cache and auth changes.
+   * Usable as a Svelte store or an Observable.
+   */
+  watchQuery<T = unknown, V extends Record<string, unknown> = Record<string, unknown>>(
+    query: TypedDocument<T, V> | string,
+    variables: V = {} as V,
+    options: WatchQueryOptions = {}
+  ): ObservableQuery<T, V> {
+    return new ObservableQuery<T, V>(this, query, variables, options, this.onError);
+  }
+
+  /**
+   * The viewer's notifications, newest first, with new ones from the live
+   * subscription prepended. Read state is kept per DID across reloads.
+   * `fields` is the selection for each notification and must include `uri`.
+   */
+  notifications<T extends { uri: string } = { uri: string }>(
+    options: NotificationFeedOptions
+  ): NotificationFeed<T> {
+    return new NotificationFeed<T>(this, this.notificationReadState, options, this.onError);
+  }
+
+  /**
+   * Iterate over a Relay connection, fetching pages as needed.
+   * The query must take an `$after` variable (or `$before` when paginating
+   * backward). `for await` over the result yields nodes; use .pages() for
+   * whole connections.
+   */
+  paginate<TNode = unknown>(
+    query: string,
+    variables: Record<string, unknown> = {},
+    options: PaginateOptions
+  ): Paginator<TNode> {
+    return new Paginator<TNode>(
+      (pageVariables) => this.cachedRequest(query, pageVariables, !options.public, options),
+      variables,
+      options
+    );
+  }
+
+  /**
+   * Fetch the next page of the connection in a previous result and return
+   * the result with its edges merged in, e.g. for infinite scroll
+   */
+  async fetchMore<T>(
+    query: string,
+    variables: Record<string, unknown>,
+    previous: T,
+    options: PaginateOptions
+  ): Promise<T> {
+    return fetchMoreEdges(
+      (pageVariables) => this.cachedRequest(query, pageVariables, !options.public, options),
+      variables,
+      previous,
+      options
+    );
+  }
+
+  /**
+   * Send an operation, retrying it unless `options.retry` is false.
+   * Identical queries already in flight share one request and queries may
+   * be batched; mutations and calls with their own signal or timeout are
+   * always sent on their own.
+   */
+  private request<T>(
+    query: string,
+    variables: Record<string, unknown>,
+    requireAuth: boolean,
+    options: QueryOptions = {},
+    mutation = false
+  ): Promise<T> {
+    const retry = options.retry ?? this.retry;
+
+    if (options.signal || options.timeout) {
+      return withSignal(options, (signal) =>
+        withRetry(() => this.send<T>(query, variables, requireAuth, signal), retry, signal)
+      );
+    }
+
+    if (mutation) {
+      return withRetry(() => this.send<T>(query, variables, requireAuth, undefined, false), retry);
+    }
+
+    const key = JSON.stringify([requireAuth, query, variables]);
+    const existing = this.inFlight.get(key);
+    if (existing) {
+      return existing as Promise<T>;
+    }
+
+    const promise = withRetry(() => this.send<T>(query, variables, requireAuth), retry).finally(
+      () => {
+        this.inFlight.delete(key);
+      }
+    );
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Send one attempt of an operation. Batched when `batch` allows it and
+   * there is no signal, which can't be applied to only part of a batched
+   * request.
+   */
+  private async send<T>(
     query: string,
-    variables: Record<string, unknown> = {}
+    variables: Record<string, unknown>,
+    requireAuth: boolean,
+    signal?: AbortSignal,
+    batch = true
   ): Promise<T> {
     await this.init();
+    if (this.batcher && batch && !signal) {
+      return await this.batcher.enqueue<T>(query, variables, requireAuth);
+    }
     return await graphqlRequest<T>(
       this.getStorage(),
       this.namespace,
@@ -144,36 +933,108 @@ export class QuicksliceClient {
       this.tokenUrl,
       query,
       variables,
-      true
+      requireAuth,
+      (url, init) => fetch(url, { ...init, signal }),
+      this.persistedQueries
     );
   }
 
   /**
-   * Execute a GraphQL mutation (authenticated)
+   * Run a query through the cache according to its cache policy
    */
-  async mutate<T = unknown>(
-    mutation: string,
-    variables: Record<string, unknown> = {}
+  private async cachedRequest<T>(
+    query: string,
+    variables: Record<string, unknown>,
+    requireAuth: boolean,
+    options: QueryOptions
   ): Promise<T> {
-    return this.query<T>(mutation, variables);
+    const cache = this.cache;
+    if (!cache) {
+      return this.request<T>(query, variables, requireAuth, options);
+    }
+
+    const key = NormalizedCache.key(query, variables, requireAuth ? 'auth' : 'public');
+    const fetchAndCache = async () => {
+      const data = await this.request<T>(query, variables, requireAuth, options);
+      cache.writeQuery(key, data);
+      return data;
+    };
+
+    switch (options.cachePolicy || 'cache-first') {
+      case 'cache-first': {
+        const cached = cache.readQuery<T>(key);
+        return cached !== undefined ? cached : fetchAndCache();
+      }
+
+      case 'cache-and-network': {
+        // Answer from the cache right away and refresh it in the background
+        const cached = cache.readQuery<T>(key);
+        if (cached === undefined) {
+          return fetchAndCache();
+        }
+        fetchAndCache().catch(() => {
+          // Keep the cached result; the next query retries
+        });
+        return cached;
+      }
+
+      case 'network-first':
+        try {
+          return await fetchAndCache();
+        } catch (err) {
+          // Fall back to the cache when offline
+          const cached = cache.readQuery<T>(key);
+          if (err instanceof NetworkError && cached !== undefined) {
+            return cached;
+          }
+          throw err;
+        }
+    }
   }
 
   /**
-   * Execute a public GraphQL query (no auth)
+   * Upload a File or Blob and return the blob reference to put in a record,
+   * e.g. as `avatar`. Checks `accept` and `maxSize` before sending.
    */
-  async publicQuery<T = unknown>(
-    query: string,
-    variables: Record<string, unknown> = {}
-  ): Promise<T> {
+  async uploadBlob(blob: Blob, options: UploadBlobOptions = {}): Promise<BlobRef> {
     await this.init();
-    return await graphqlRequest<T>(
+    return await uploadBlob(
       this.getStorage(),
       this.namespace,
       this.graphqlUrl,
       this.tokenUrl,
-      query,
-      variables,
-      false
+      blob,
+      options
     );
   }
+
+  /**
+   * Subscribe to a GraphQL subscription over WebSocket (graphql-ws)
+   * All subscriptions share one socket. Returns an unsubscribe function.
+   */
+  subscribe<T = unknown, V extends Record<string, unknown> = Record<string, unknown>>(
+    query: TypedDocument<T, V> | string,
+    variables: V = {} as V,
+    handlers: SubscriptionHandlers<T>
+  ): () => void {
+    return this.subscriptions.subscribe<T>(query, variables, handlers);
+  }
+
+  /**
+   * Build the connection_init payload, authenticated when a session exists
+   */
+  private async getSubscriptionConnectionParams(): Promise<Record<string, string>> {
+    await this.init();
+    if (!(await hasValidSession(this.getStorage()))) {
+      return {};
+    }
+
+    const token = await getValidAccessToken(this.getStorage(), this.namespace, this.tokenUrl);
+    const dpopProof = await createDPoPProof(this.namespace, 'GET', this.graphqlUrl, token);
+
+    return {
+      authorization: `DPoP ${token}`,
+      dpop: dpopProof,
+    };
+  }
 }
@@ -0,0 +1,210 @@
+/**
+ * quickslice-codegen - generate TypeScript types and typed documents from
+ * .graphql files and a Quickslice instance's schema
+ */
+import { createHash } from 'node:crypto';
+import { watch as watchPath } from 'node:fs';
+import { mkdir, readFile, readdir, stat, writeFile } from 'node:fs/promises';
+import { dirname, extname, join, relative } from 'node:path';
+import { parseArgs } from 'node:util';
+import { generate, SourceDocument } from './generate';
+import { loadSchema, Schema } from './schema';
+
+const DOCUMENT_EXTENSIONS = new Set(['.graphql', '.gql']);
+const WATCH_DEBOUNCE_MS = 100;
+
+const USAGE = `Usage: quickslice-codegen --schema <file|url> --documents <path> --output <file> [options]
+
+Options:
+  --schema <file|url>     Introspection JSON file, or the URL of a Quickslice instance
+  --documents <path>      .graphql file or directory to search (repeatable)
+  --output <file>         TypeScript file to write
+  --manifest <file>       Also write a persisted query manifest (hash to document)
+  --scalar <Name=Type>    TypeScript type for a custom scalar (repeatable)
+  --header <Name: value>  Header for the introspection request (repeatable)
+  --import-from <module>  Module to import TypedDocument from (default quickslice-client-js)
+  --watch                 Regenerate when documents change
+  --help                  Show this help
+`;
+
+interface CliOptions {
+  schema: string;
+  documents: string[];
+  output: string;
+  manifest?: string;
+  scalars: Record<string, string>;
+  headers: Record<string, string>;
+  importFrom?: string;
+  watch: boolean;
+}
+
+function parseCliOptions(argv: string[]): CliOptions | null {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      schema: { type: 'string' },
+      documents: { type: 'string', multiple: true },
+      output: { type: 'string' },
+      manifest: { type: 'string' },
+      scalar: { type: 'string', multiple: true },
+      header: { type: 'string', multiple: true },
+      'import-from': { type: 'string' },
+      watch: { type: 'boolean' },
+      help: { type: 'boolean' },
+    },
+  });
+
+  if (values.help) return null;
+  if (!values.schema || !values.documents?.length || !values.output) {
+    throw new Error('--schema, --documents and --output are required');
+  }
+
+  const pairs = (entries: string[] = [], separator: string, flag: string) =>
+    Object.fromEntries(
+      entries.map((entry) => {
+        const index = entry.indexOf(separator);
+        if (index <= 0) throw new Error(`Invalid ${flag} "${entry}"`);
+        return [entry.slice(0, index).trim(), entry.slice(index + 1).trim()];
+      })
+    );
+
+  return {
+    schema: values.schema,
+    documents: values.documents,
+    output: values.output,
+    manifest: values.manifest,
+    scalars: pairs(values.scalar, '=', '--scalar'),
+    headers: pairs(values.header, ':', '--header'),
+    importFrom: values['import-from'],
+    watch: values.watch ?? false,
+  };
+}
+
+async function findDocuments(path: string): Promise<string[]> {
+  const info = await stat(path);
+  if (!info.isDirectory()) {
+    return [path];
+  }
+
+  const files: string[] = [];
+  for (const entry of await readdir(path, { withFileTypes: true })) {
+    if (entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+    const entryPath = join(path, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await findDocuments(entryPath)));
+    } else if (DOCUMENT_EXTENSIONS.has(extname(entry.name))) {
+      files.push(entryPath);
+    }
+  }
+  return files.sort();
+}
+
+async function writeIfChanged(path: string, contents: string): Promise<void> {
+  const existing = await readFile(path, 'utf8').catch(() => null);
+  if (existing === contents) return;
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(path, contents);
+}
+
+async function run(options: CliOptions, schema: Schema): Promise<void> {
+  const files = (await Promise.all(options.documents.map(findDocuments))).flat();
+  const documents: SourceDocument[] = await Promise.all(
+    files.map(async (file) => ({
+      file: relative(process.cwd(), file),
+      body: await readFile(file, 'utf8'),
+    }))
+  );
+
+  const result = generate(schema, documents, {
+    scalars: options.scalars,
+    importFrom: options.importFrom,
+  });
+  await writeIfChanged(options.output, result.code);
+
+  if (options.manifest) {
+    // Same shape as the server's PERSISTED_QUERIES_MANIFEST
+    const manifest = Object.fromEntries(
+      result.operations.map(({ document }) => [
+        createHash('sha256').update(document).digest('hex'),
+        document,
+      ])
+    );
+    await writeIfChanged(options.manifest, JSON.stringify(manifest, null, 2) + '\n');
+  }
+
+  console.log(
+    `Generated ${result.operations.length} operations from ${documents.length} documents into ${options.output}`
+  );
+}
+
+/**
+ * Regenerate whenever a document (or a local schema file) changes.
+ * Errors are reported and the watch carries on.
+ */
+function watch(options: CliOptions, initialSchema: Schema): void {
+  let schema = initialSchema;
+  let timer: ReturnType<typeof setTimeout> | null = null;
+  let schemaChanged = false;
+  let running = Promise.resolve();
+
+  const schemaIsFile = !/^https?:\/\//.test(options.schema);
+
+  const schedule = (fromSchema: boolean) => {
+    schemaChanged ||= fromSchema;
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      const reloadSchema = schemaChanged;
+      schemaChanged = false;
+      running = running.then(async () => {
+        try {
+          if (reloadSchema) {
+            schema = await loadSchema(options.schema, options.headers);
+          }
+          await run(options, schema);
+        } catch (err) {
+          console.error((err as Error).message);
+        }
+      });
+    }, WATCH_DEBOUNCE_MS);
+  };
+
+  for (const path of options.documents) {
+    watchPath(path, { recursive: true }, (_event, filename) => {
+      if (!filename || DOCUMENT_EXTENSIONS.has(extname(filename.toString()))) {
+        schedule(false);
+      }
+    });
+  }
+  if (schemaIsFile) {
+    watchPath(options.schema, () => schedule(true));
+  }
+
+  console.log('Watching for changes...');
+}
+
+async function main(): Promise<void> {
+  const options = parseCliOptions(process.argv.slice(2));
+  if (!options) {
+    console.log(USAGE);
+    return;
+  }
+
+  const schema = await loadSchema(options.schema, options.headers);
+
+  if (options.watch) {
+    try {
+      await run(options, schema);
+    } catch (err) {
+      console.error((err as Error).message);
+    }
+    watch(options, schema);
+  } else {
+    await run(options, schema);
+  }
+}
+
+main().catch((err) => {
+  console.error(err instanceof Error ? err.message : err);
+  process.exit(1);
+});
@@ -0,0 +1,436 @@
+/**
+ * TypeScript generation from GraphQL documents and an introspected schema
+ *
+ * Emits, for each named operation, its result type, its variables type and
+ * a TypedDocument constant that client.query() and friends infer both from.
+ * Enums and input types used by variables are emitted as named types;
+ * result types are inlined so they match the selection exactly.
+ */
+import { CodegenError } from '../errors';
+import {
+  DefinitionNode,
+  FieldNode,
+  FragmentNode,
+  OperationNode,
+  SelectionNode,
+  SourceLocation,
+  TypeNode,
+  parseDocument,
+} from './parser';
+import { IntrospectionField, IntrospectionTypeRef, Schema } from './schema';
+
+export interface SourceDocument {
+  file: string;
+  body: string;
+}
+
+export interface GenerateOptions {
+  /** TypeScript types for custom scalars, by scalar name (default `unknown`) */
+  scalars?: Record<string, string>;
+  /** Module that TypedDocument is imported from */
+  importFrom?: string;
+}
+
+export interface GeneratedOperation {
+  name: string;
+  /** The document text sent to the server, including used fragments */
+  document: string;
+}
+
+export interface GenerateResult {
+  code: string;
+  operations: GeneratedOperation[];
+}
+
+const BUILTIN_SCALARS: Record<string, string> = {
+  String: 'string',
+  ID: 'string',
+  Int: 'number',
+  Float: 'number',
+  Boolean: 'boolean',
+};
+
+interface Located<T> {
+  node: T;
+  file: string;
+}
+
+interface CollectedField {
+  name: string;
+  nodes: FieldNode[];
+  optional: boolean;
+}
+
+function isConditional(directives: string[]): boolean {
+  return directives.includes('include') || directives.includes('skip');
+}
+
+function indentation(depth: number): string {
+  return '  '.repeat(depth);
+}
+
+/**
+ * Escape text for use inside a template literal
+ */
+function templateLiteral(text: string): string {
+  return '`' + text.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${') + '`';
+}
+
+class Generator {
+  private fragments = new Map<string, Located<FragmentNode>>();
+  private operations: Located<OperationNode>[] = [];
+  private namedTypes = new Set<string>();
+  private scalars: Record<string, string>;
+  private file = '';
+
+  constructor(
+    private schema: Schema,
+    private options: GenerateOptions
+  ) {
+    this.scalars = { ...BUILTIN_SCALARS, ...options.scalars };
+  }
+
+  generate(documents: SourceDocument[]): GenerateResult {
+    for (const document of documents) {
+      this.file = document.file;
+      for (const definition of parseDocument(document.body, document.file)) {
+        this.addDefinition(definition, document.file);
+      }
+    }
+
+    const fragmentTypes = [...this.fragments.values()].map(({ node, file }) => {
+      this.file = file;
+      this.requireCompositeType(node.typeCondition, node.loc);
+      const type = this.renderSelectionSet(node.typeCondition, node.selectionSet, 0);
+      return `export type ${node.name}Fragment = ${type};`;
+    });
+
+    const operations: GeneratedOperation[] = [];
+    const operationTypes = this.operations.map(({ node, file }) => {
+      this.file = file;
+      const name = node.name!;
+      const suffix = node.operation[0].toUpperCase() + node.operation.slice(1);
+      const typeName = name.endsWith(suffix) ? name : `${name}${suffix}`;
+
+      const root = this.schema.getRootType(node.operation);
+      if (!root) {
+        this.fail(`Schema has no ${node.operation} type`, node.loc);
+      }
+
+      const result = this.renderSelectionSet(root.name, node.selectionSet, 0);
+      const variables = this.renderVariables(node);
+      const document = [node.source, ...this.usedFragments(node.selectionSet)].join('\n\n');
+      operations.push({ name, document });
+
+      return [
+        `export type ${typeName}Variables = ${variables};`,
+        `export type ${typeName} = ${result};`,
+        `export const ${name}Document = ${templateLiteral(document)} as TypedDocument<${typeName}, ${typeName}Variables>;`,
+      ].join('\n\n');
+    });
+
+    const sections = [
+      '// Generated by quickslice-codegen. Do not edit.',
+      `import type { TypedDocument } from '${this.options.importFrom || 'quickslice-client-js'}';`,
+      ...this.renderNamedTypes(),
+      ...fragmentTypes,
+      ...operationTypes,
+    ];
+
+    return { code: sections.join('\n\n') + '\n', operations };
+  }
+
+  private addDefinition(definition: DefinitionNode, file: string): void {
+    if (definition.kind === 'Fragment') {
+      if (this.fragments.has(definition.name)) {
+        this.fail(`Duplicate fragment "${definition.name}"`, definition.loc);
+      }
+      this.fragments.set(definition.name, { node: definition, file });
+      return;
+    }
+
+    if (!definition.name) {
+      this.fail('Operations must be named to generate types for them', definition.loc);
+    }
+    if (this.operations.some(({ node }) => node.name === definition.name)) {
+      this.fail(`Duplicate operation "${definition.name}"`, definition.loc);
+    }
+    this.operations.push({ node: definition, file });
+  }
+
+  /**
+   * Result type for a selection set. Abstract types become a union with
+   * one member per possible type.
+   */
+  private renderSelectionSet(typeName: string, selections: SelectionNode[], depth: number): string {
+    const variants = this.schema
+      .getPossibleTypes(typeName)
+      .map((concrete) => this.renderObject(concrete, typeName, selections, depth));
+    const unique = [...new Set(variants)];
+    return unique.length > 0 ? unique.join(' | ') : 'never';
+  }
+
+  private renderObject(
+    concrete: string,
+    scope: string,
+    selections: SelectionNode[],
+    depth: number
+  ): string {
+    const fields = new Map<string, CollectedField>();
+    this.collectFields(selections, scope, concrete, fields, false, new Set());
+
+    const pad = indentation(depth + 1);
+    const lines = [...fields].map(([key, field]) => {
+      const type =
+        field.name === '__typename'
+          ? `'${concrete}'`
+          : this.renderFieldType(concrete, field, depth + 1);
+      return `${pad}${key}${field.optional ? '?' : ''}: ${type};`;
+    });
+
+    return `{\n${lines.join('\n')}\n${indentation(depth)}}`;
+  }
+
+  /**
+   * Gather the fields selected on `concrete`, following fragments whose
+   * type condition applies to it. `scope` is the type the selections are
+   * written against, used to check that fields exist.
+   */
+  private collectFields(
+    selections: SelectionNode[],
+    scope: string,
+    concrete: string,
+    fields: Map<string, CollectedField>,
+    optional: boolean,
+    visited: Set<string>
+  ): void {
+    for (const selection of selections) {
+      if (selection.kind === 'Field') {
+        if (selection.name !== '__typename') {
+          this.getField(scope, selection.name, selection.loc);
+        }
+
+        const key = selection.alias || selection.name;
+        const conditional = optional || isConditional(selection.directives);
+        const existing = fields.get(key);
+        if (existing) {
+          existing.nodes.push(selection);
+          existing.optional = existing.optional && conditional;
+        } else {
+          fields.set(key, { name: selection.name, nodes: [selection], optional: conditional });
+        }
+        continue;
+      }
+
+      let typeCondition: string;
+      let nested: SelectionNode[];
+      if (selection.kind === 'FragmentSpread') {
+        const fragment = this.fragments.get(selection.name);
+        if (!fragment) {
+          this.fail(`Unknown fragment "${selection.name}"`, selection.loc);
+        }
+        if (visited.has(selection.name)) continue;
+        visited = new Set([...visited, selection.name]);
+        typeCondition = fragment.node.typeCondition;
+        nested = fragment.node.selectionSet;
+      } else {
+        typeCondition = selection.typeCondition || scope;
+        nested = selection.selectionSet;
+      }
+
+      this.requireCompositeType(typeCondition, selection.loc);
+      if (this.schema.getPossibleTypes(typeCondition).includes(concrete)) {
+        this.collectFields(
+          nested,
+          typeCondition,
+          concrete,
+          fields,
+          optional || isConditional(selection.directives),
+          visited
+        );
+      }
+    }
+  }
+
+  private renderFieldType(parent: string, field: CollectedField, depth: number): string {
+    const node = field.nodes[0];
+    const definition = this.getField(parent, field.name, node.loc);
+    const selections = field.nodes.flatMap((fieldNode) => fieldNode.selectionSet || []);
+    return this.renderOutputType(definition.type, selections, node, depth);
+  }
+
+  private renderOutputType(
+    ref: IntrospectionTypeRef,
+    selections: SelectionNode[],
+    node: FieldNode,
+    depth: number
+  ): string {
+    if (ref.kind === 'NON_NULL') {
+      return this.renderNonNullOutputType(ref.ofType!, selections, node, depth);
+    }
+    return `${this.renderNonNullOutputType(ref, selections, node, depth)} | null`;
+  }
+
+  private renderNonNullOutputType(
+    ref: IntrospectionTypeRef,
+    selections: SelectionNode[],
+    node: FieldNode,
+    depth: number
+  ): string {
+    if (ref.kind === 'LIST') {
+      return `Array<${this.renderOutputType(ref.ofType!, selections, node, depth)}>`;
+    }
+
+    const name = ref.name!;
+    if (ref.kind === 'SCALAR' || ref.kind === 'ENUM') {
+      if (selections.length > 0) {
+        this.fail(`Field "${node.name}" of type ${name} has no subfields`, node.loc);
+      }
+      return this.renderNamedInputType(name);
+    }
+
+    if (selections.length === 0) {
+      this.fail(`Field "${node.name}" of type ${name} needs a selection of subfields`, node.loc);
+    }
+    return this.renderSelectionSet(name, selections, depth);
+  }
+
+  private renderVariables(operation: OperationNode): string {
+    if (operation.variables.length === 0) {
+      return 'Record<string, never>';
+    }
+
+    const lines = operation.variables.map((variable) => {
+      const required = variable.type.kind === 'NonNull' && !variable.hasDefault;
+      const type = this.renderVariableType(variable.type, operation.loc);
+      return `  ${variable.name}${required ? '' : '?'}: ${type};`;
+    });
+    return `{\n${lines.join('\n')}\n}`;
+  }
+
+  private renderVariableType(type: TypeNode, loc: SourceLocation): string {
+    if (type.kind === 'NonNull') {
+      return this.renderNonNullVariableType(type.ofType, loc);
+    }
+    return `${this.renderNonNullVariableType(type, loc)} | null`;
+  }
+
+  private renderNonNullVariableType(type: TypeNode, loc: SourceLocation): string {
+    if (type.kind === 'List') {
+      return `Array<${this.renderVariableType(type.ofType, loc)}>`;
+    }
+    if (type.kind === 'NonNull') {
+      return this.renderNonNullVariableType(type.ofType, loc);
+    }
+
+    const schemaType = this.schema.getType(type.name);
+    if (!schemaType || !['SCALAR', 'ENUM', 'INPUT_OBJECT'].includes(schemaType.kind)) {
+      this.fail(`Unknown input type "${type.name}"`, loc);
+    }
+    return this.renderNamedInputType(type.name);
+  }
+
+  private renderInputType(ref: IntrospectionTypeRef): string {
+    if (ref.kind === 'NON_NULL') {
+      return this.renderNonNullInputType(ref.ofType!);
+    }
+    return `${this.renderNonNullInputType(ref)} | null`;
+  }
+
+  private renderNonNullInputType(ref: IntrospectionTypeRef): string {
+    if (ref.kind === 'LIST') {
+      return `Array<${this.renderInputType(ref.ofType!)}>`;
+    }
+    return this.renderNamedInputType(ref.name!);
+  }
+
+  /**
+   * Scalars map to their TypeScript type; enums and input objects are
+   * referenced by name and emitted once
+   */
+  private renderNamedInputType(name: string): string {
+    const type = this.schema.getType(name);
+    if (type?.kind === 'ENUM' || type?.kind === 'INPUT_OBJECT') {
+      this.namedTypes.add(name);
+      return name;
+    }
+    return this.scalars[name] || 'unknown';
+  }
+
+  private renderNamedTypes(): string[] {
+    const rendered = new Map<string, string>();
+
+    // Input objects can reference further named types, so keep going
+    // until nothing new turns up
+    while (rendered.size < this.namedTypes.size) {
+      for (const name of [...this.namedTypes]) {
+        if (rendered.has(name)) continue;
+        const type = this.schema.getType(name)!;
+
+        if (type.kind === 'ENUM') {
+          const values = (type.enumValues || []).map((value) => `'${value.name}'`);
+          rendered.set(name, `export type ${name} = ${values.join(' | ') || 'never'};`);
+        } else {
+          const lines = (type.inputFields || []).map((field) => {
+            const required = field.type.kind === 'NON_NULL' && field.defaultValue === null;
+            return `  ${field.name}${required ? '' : '?'}: ${this.renderInputType(field.type)};`;
+          });
+          rendered.set(name, `export type ${name} = {\n${lines.join('\n')}\n};`);
+        }
+      }
+    }
+
+    return [...rendered.keys()].sort().map((name) => rendered.get(name)!);
+  }
+
+  /**
+   * Fragment definitions an operation needs, each once
+   */
+  private usedFragments(selections: SelectionNode[], used = new Set<string>()): string[] {
+    const sources: string[] = [];
+    for (const selection of selections) {
+      if (selection.kind === 'FragmentSpread') {
+        const fragment = this.fragments.get(selection.name);
+        if (!fragment) {
+          this.fail(`Unknown fragment "${selection.name}"`, selection.loc);
+        }
+        if (used.has(selection.name)) continue;
+        used.add(selection.name);
+        sources.push(fragment.node.source, ...this.usedFragments(fragment.node.selectionSet, used));
+      } else if (selection.selectionSet) {
+        sources.push(...this.usedFragments(selection.selectionSet, used));
+      }
+    }
+    return sources;
+  }
+
+  private getField(typeName: string, fieldName: string, loc: SourceLocation): IntrospectionField {
+    const field = this.schema.getType(typeName)?.fields?.find((f) => f.name === fieldName);
+    if (!field) {
+      this.fail(`Cannot query field "${fieldName}" on type "${typeName}"`, loc);
+    }
+    return field;
+  }
+
+  private requireCompositeType(name: string, loc: SourceLocation): void {
+    const type = this.schema.getType(name);
+    if (!type || !['OBJECT', 'INTERFACE', 'UNION'].includes(type.kind)) {
+      this.fail(`Unknown type "${name}"`, loc);
+    }
+  }
+
+  private fail(message: string, loc: SourceLocation): never {
+    throw new CodegenError(message, this.file, loc.line, loc.column);
+  }
+}
+
+/**
+ * Generate TypeScript for the operations and fragments in `documents`
+ */
+export function generate(
+  schema: Schema,
+  documents: SourceDocument[],
+  options: GenerateOptions = {}
+): GenerateResult {
+  return new Generator(schema, options).generate(documents);
+}
@@ -0,0 +1,451 @@
+/**
+ * Parser for executable GraphQL documents (operations and fragments)
+ *
+ * Only what code generation needs is kept: selections, variable
+ * definitions, type conditions and directive names. Argument values are
+ * parsed to validate the syntax and then dropped.
+ */
+import { CodegenError } from '../errors';
+
+export interface SourceLocation {
+  line: number;
+  column: number;
+}
+
+export type TypeNode =
+  | { kind: 'Named'; name: string }
+  | { kind: 'List'; ofType: TypeNode }
+  | { kind: 'NonNull'; ofType: TypeNode };
+
+export interface FieldNode {
+  kind: 'Field';
+  alias?: string;
+  name: string;
+  directives: string[];
+  selectionSet?: SelectionNode[];
+  loc: SourceLocation;
+}
+
+export interface FragmentSpreadNode {
+  kind: 'FragmentSpread';
+  name: string;
+  directives: string[];
+  loc: SourceLocation;
+}
+
+export interface InlineFragmentNode {
+  kind: 'InlineFragment';
+  typeCondition?: string;
+  directives: string[];
+  selectionSet: SelectionNode[];
+  loc: SourceLocation;
+}
+
+export type SelectionNode = FieldNode | FragmentSpreadNode | InlineFragmentNode;
+
+export interface VariableDefinitionNode {
+  name: string;
+  type: TypeNode;
+  hasDefault: boolean;
+}
+
+export interface OperationNode {
+  kind: 'Operation';
+  operation: 'query' | 'mutation' | 'subscription';
+  name?: string;
+  variables: VariableDefinitionNode[];
+  selectionSet: SelectionNode[];
+  /** The definition's text, as written */
+  source: string;
+  loc: SourceLocation;
+}
+
+export interface FragmentNode {
+  kind: 'Fragment';
+  name: string;
+  typeCondition: string;
+  selectionSet: SelectionNode[];
+  source: string;
+  loc: SourceLocation;
+}
+
+export type DefinitionNode = OperationNode | FragmentNode;
+
+type TokenKind = 'Punctuator' | 'Name' | 'Number' | 'String' | 'EOF';
+
+interface Token {
+  kind: TokenKind;
+  value: string;
+  start: number;
+  end: number;
+}
+
+const PUNCTUATORS = '!$&():=@[]{}|';
+// Whitespace, line terminators, commas and the byte order mark
+const IGNORED = /[ \t\n\r,\uFEFF]/;
+const NAME_START = /[_A-Za-z]/;
+const NAME_CONTINUE = /[_0-9A-Za-z]/;
+
+/**
+ * Split a document into tokens, skipping whitespace, commas and comments
+ */
+function tokenize(body: string, file: string): Token[] {
+  const tokens: Token[] = [];
+  let pos = 0;
+
+  const fail = (message: string, at: number): never => {
+    const { line, column } = locate(body, at);
+    throw new CodegenError(message, file, line, column);
+  };
+
+  while (pos < body.length) {
+    const char = body[pos];
+
+    if (IGNORED.test(char)) {
+      pos++;
+    } else if (char === '#') {
+      while (pos < body.length && body[pos] !== '\n' && body[pos] !== '\r') pos++;
+    } else if (PUNCTUATORS.includes(char)) {
+      tokens.push({ kind: 'Punctuator', value: char, start: pos, end: pos + 1 });
+      pos++;
+    } else if (body.startsWith('...', pos)) {
+      tokens.push({ kind: 'Punctuator', value: '...', start: pos, end: pos + 3 });
+      pos += 3;
+    } else if (NAME_START.test(char)) {
+      const start = pos;
+      while (pos < body.length && NAME_CONTINUE.test(body[pos])) pos++;
+      tokens.push({ kind: 'Name', value: body.slice(start, pos), start, end: pos });
+    } else if (char === '-' || (char >= '0' && char <= '9')) {
+      const match = /^-?(0|[1-9][0-9]*)(\.[0-9]+)?([eE][+-]?[0-9]+)?/.exec(body.slice(pos));
+      if (!match) fail(`Invalid number`, pos);
+      tokens.push({ kind: 'Number', value: match![0], start: pos, end: pos + match![0].length });
+      pos += match![0].length;
+    } else if (body.startsWith('"""', pos)) {
+      const end = findBlockStringEnd(body, pos + 3);
+      if (end < 0) fail('Unterminated block string', pos);
+      tokens.push({ kind: 'String', value: body.slice(pos + 3, end), start: pos, end: end + 3 });
+      pos = end + 3;
+    } else if (char === '"') {
+      const start = pos;
+      pos++;
+      while (pos < body.length && body[pos] !== '"') {
+        if (body[pos] === '\n' || body[pos] === '\r') fail('Unterminated string', start);
+        pos += body[pos] === '\\' ? 2 : 1;
+      }
+      if (pos >= body.length) fail('Unterminated string', start);
+      pos++;
+      tokens.push({ kind: 'String', value: body.slice(start + 1, pos - 1), start, end: pos });
+    } else {
+      fail(`Unexpected character "${char}"`, pos);
+    }
+  }
+
+  tokens.push({ kind: 'EOF', value: '', start: body.length, end: body.length });
+  return tokens;
+}
+
+function findBlockStringEnd(body: string, from: number): number {
+  let pos = from;
+  while (pos < body.length) {
+    if (body.startsWith('\\"""', pos)) {
+      pos += 4;
+    } else if (body.startsWith('"""', pos)) {
+      return pos;
+    } else {
+      pos++;
+    }
+  }
+  return -1;
+}
+
+function locate(body: string, offset: number): SourceLocation {
+  const before = body.slice(0, offset).split(/\r\n|\r|\n/);
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+class Parser {
+  private tokens: Token[];
+  private index = 0;
+
+  constructor(
+    private body: string,
+    private file: string
+  ) {
+    this.tokens = tokenize(body, file);
+  }
+
+  parseDocument(): DefinitionNode[] {
+    const definitions: DefinitionNode[] = [];
+    while (this.peek().kind !== 'EOF') {
+      definitions.push(this.parseDefinition());
+    }
+    return definitions;
+  }
+
+  private parseDefinition(): DefinitionNode {
+    const token = this.peek();
+
+    if (token.kind === 'Punctuator' && token.value === '{') {
+      const selectionSet = this.parseSelectionSet();
+      return {
+        kind: 'Operation',
+        operation: 'query',
+        variables: [],
+        selectionSet,
+        source: this.sourceFrom(token),
+        loc: this.loc(token),
+      };
+    }
+
+    if (token.kind === 'Name') {
+      if (token.value === 'fragment') return this.parseFragment();
+      if (token.value === 'query' || token.value === 'mutation' || token.value === 'subscription') {
+        return this.parseOperation();
+      }
+    }
+
+    return this.unexpected(token);
+  }
+
+  private parseOperation(): OperationNode {
+    const start = this.next();
+    const name = this.peek().kind === 'Name' ? this.next().value : undefined;
+    const variables = this.peekPunctuator('(') ? this.parseVariableDefinitions() : [];
+    this.parseDirectives();
+    const selectionSet = this.parseSelectionSet();
+
+    return {
+      kind: 'Operation',
+      operation: start.value as OperationNode['operation'],
+      name,
+      variables,
+      selectionSet,
+      source: this.sourceFrom(start),
+      loc: this.loc(start),
+    };
+  }
+
+  private parseFragment(): FragmentNode {
+    const start = this.next();
+    const name = this.expectName();
+    if (name === 'on') this.unexpected(this.tokens[this.index - 1]);
+    this.expectKeyword('on');
+    const typeCondition = this.expectName();
+    this.parseDirectives();
+    const selectionSet = this.parseSelectionSet();
+
+    return {
+      kind: 'Fragment',
+      name,
+      typeCondition,
+      selectionSet,
+      source: this.sourceFrom(start),
+      loc: this.loc(start),
+    };
+  }
+
+  private parseVariableDefinitions(): VariableDefinitionNode[] {
+    const variables: VariableDefinitionNode[] = [];
+    this.expectPunctuator('(');
+    while (!this.closes(')')) {
+      this.expectPunctuator('$');
+      const name = this.expectName();
+      this.expectPunctuator(':');
+      const type = this.parseType();
+      const hasDefault = this.skipPunctuator('=');
+      if (hasDefault) this.parseValue(true);
+      this.parseDirectives();
+      variables.push({ name, type, hasDefault });
+    }
+    return variables;
+  }
+
+  private parseType(): TypeNode {
+    let type: TypeNode;
+    if (this.skipPunctuator('[')) {
+      type = { kind: 'List', ofType: this.parseType() };
+      this.expectPunctuator(']');
+    } else {
+      type = { kind: 'Named', name: this.expectName() };
+    }
+    return this.skipPunctuator('!') ? { kind: 'NonNull', ofType: type } : type;
+  }
+
+  private parseSelectionSet(): SelectionNode[] {
+    const selections: SelectionNode[] = [];
+    this.expectPunctuator('{');
+    while (!this.closes('}')) {
+      selections.push(this.parseSelection());
+    }
+    if (selections.length === 0) {
+      this.unexpected(this.tokens[this.index - 1]);
+    }
+    return selections;
+  }
+
+  private parseSelection(): SelectionNode {
+    const start = this.peek();
+
+    if (this.skipPunctuator('...')) {
+      const next = this.peek();
+      if (next.kind === 'Name' && next.value !== 'on') {
+        this.next();
+        return {
+          kind: 'FragmentSpread',
+          name: next.value,
+          directives: this.parseDirectives(),
+          loc: this.loc(start),
+        };
+      }
+
+      let typeCondition: string | undefined;
+      if (next.kind === 'Name') {
+        this.next();
+        typeCondition = this.expectName();
+      }
+      return {
+        kind: 'InlineFragment',
+        typeCondition,
+        directives: this.parseDirectives(),
+        selectionSet: this.parseSelectionSet(),
+        loc: this.loc(start),
+      };
+    }
+
+    let name = this.expectName();
+    let alias: string | undefined;
+    if (this.skipPunctuator(':')) {
+      alias = name;
+      name = this.expectName();
+    }
+    if (this.peekPunctuator('(')) this.parseArguments(false);
+    const directives = this.parseDirectives();
+    const selectionSet = this.peekPunctuator('{') ? this.parseSelectionSet() : undefined;
+
+    return { kind: 'Field', alias, name, directives, selectionSet, loc: this.loc(start) };
+  }
+
+  private parseArguments(isConst: boolean): void {
+    this.expectPunctuator('(');
+    while (!this.closes(')')) {
+      this.expectName();
+      this.expectPunctuator(':');
+      this.parseValue(isConst);
+    }
+  }
+
+  private parseDirectives(): string[] {
+    const directives: string[] = [];
+    while (this.skipPunctuator('@')) {
+      directives.push(this.expectName());
+      if (this.peekPunctuator('(')) this.parseArguments(false);
+    }
+    return directives;
+  }
+
+  private parseValue(isConst: boolean): void {
+    const token = this.peek();
+
+    if (token.kind === 'Punctuator') {
+      if (token.value === '$' && !isConst) {
+        this.next();
+        this.expectName();
+        return;
+      }
+      if (token.value === '[') {
+        this.next();
+        while (!this.closes(']')) this.parseValue(isConst);
+        return;
+      }
+      if (token.value === '{') {
+        this.next();
+        while (!this.closes('}')) {
+          this.expectName();
+          this.expectPunctuator(':');
+          this.parseValue(isConst);
+        }
+        return;
+      }
+      this.unexpected(token);
+    }
+
+    if (token.kind === 'EOF') this.unexpected(token);
+    this.next();
+  }
+
+  private peek(): Token {
+    return this.tokens[this.index];
+  }
+
+  private next(): Token {
+    return this.tokens[this.index++];
+  }
+
+  private peekPunctuator(value: string): boolean {
+    const token = this.peek();
+    return token.kind === 'Punctuator' && token.value === value;
+  }
+
+  private skipPunctuator(value: string): boolean {
+    if (this.peekPunctuator(value)) {
+      this.index++;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Skip the closing punctuator of a list, failing at the end of the
+   * document instead of looping forever
+   */
+  private closes(value: string): boolean {
+    if (this.peek().kind === 'EOF') this.unexpected(this.peek(), `"${value}"`);
+    return this.skipPunctuator(value);
+  }
+
+  private expectPunctuator(value: string): void {
+    if (!this.peekPunctuator(value)) {
+      this.unexpected(this.peek(), `"${value}"`);
+    }
+    this.index++;
+  }
+
+  private expectName(): string {
+    const token = this.peek();
+    if (token.kind !== 'Name') this.unexpected(token, 'a name');
+    this.index++;
+    return token.value;
+  }
+
+  private expectKeyword(value: string): void {
+    const token = this.peek();
+    if (token.kind !== 'Name' || token.value !== value) this.unexpected(token, `"${value}"`);
+    this.index++;
+  }
+
+  private unexpected(token: Token, expected?: string): never {
+    const found = token.kind === 'EOF' ? 'end of document' : `"${token.value}"`;
+    const { line, column } = locate(this.body, token.start);
+    throw new CodegenError(
+      expected ? `Expected ${expected}, found ${found}` : `Unexpected ${found}`,
+      this.file,
+      line,
+      column
+    );
+  }
+
+  private sourceFrom(start: Token): string {
+    return this.body.slice(start.start, this.tokens[this.index - 1].end);
+  }
+
+  private loc(token: Token): SourceLocation {
+    return locate(this.body, token.start);
+  }
+}
+
+/**
+ * Parse the operations and fragments in a .graphql document
+ */
+export function parseDocument(body: string, file: string): DefinitionNode[] {
+  return new Parser(body, file).parseDocument();
+}
@@ -0,0 +1,199 @@
+/**
+ * Schema access for code generation, from GraphQL introspection
+ */
+import { readFile } from 'node:fs/promises';
+import { CodegenError } from '../errors';
+
+export interface IntrospectionTypeRef {
+  kind: string;
+  name: string | null;
+  ofType: IntrospectionTypeRef | null;
+}
+
+export interface IntrospectionInputValue {
+  name: string;
+  description?: string | null;
+  type: IntrospectionTypeRef;
+  defaultValue: string | null;
+}
+
+export interface IntrospectionField {
+  name: string;
+  description?: string | null;
+  args: IntrospectionInputValue[];
+  type: IntrospectionTypeRef;
+}
+
+export interface IntrospectionType {
+  kind: 'SCALAR' | 'OBJECT' | 'INTERFACE' | 'UNION' | 'ENUM' | 'INPUT_OBJECT';
+  name: string;
+  description?: string | null;
+  fields: IntrospectionField[] | null;
+  inputFields: IntrospectionInputValue[] | null;
+  interfaces: Array<{ name: string }> | null;
+  possibleTypes: Array<{ name: string }> | null;
+  enumValues: Array<{ name: string; description?: string | null }> | null;
+}
+
+export interface IntrospectionSchema {
+  queryType: { name: string } | null;
+  mutationType: { name: string } | null;
+  subscriptionType: { name: string } | null;
+  types: IntrospectionType[];
+}
+
+export const INTROSPECTION_QUERY = `
+  query IntrospectionQuery {
+    __schema {
+      queryType { name }
+      mutationType { name }
+      subscriptionType { name }
+      types {
+        kind
+        name
+        description
+        fields(includeDeprecated: true) {
+          name
+          description
+          args { ...InputValue }
+          type { ...TypeRef }
+        }
+        inputFields { ...InputValue }
+        interfaces { name }
+        enumValues(includeDeprecated: true) { name description }
+        possibleTypes { name }
+      }
+    }
+  }
+
+  fragment InputValue on __InputValue {
+    name
+    description
+    type { ...TypeRef }
+    defaultValue
+  }
+
+  fragment TypeRef on __Type {
+    kind
+    name
+    ofType {
+      kind
+      name
+      ofType {
+        kind
+        name
+        ofType {
+          kind
+          name
+          ofType {
+            kind
+            name
+            ofType {
+              kind
+              name
+              ofType {
+                kind
+                name
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Lookups over an introspected schema
+ */
+export class Schema {
+  private types = new Map<string, IntrospectionType>();
+
+  constructor(private introspection: IntrospectionSchema) {
+    for (const type of introspection.types) {
+      this.types.set(type.name, type);
+    }
+  }
+
+  getType(name: string): IntrospectionType | undefined {
+    return this.types.get(name);
+  }
+
+  getRootType(operation: 'query' | 'mutation' | 'subscription'): IntrospectionType | undefined {
+    const root = this.introspection[`${operation}Type`];
+    return root ? this.types.get(root.name) : undefined;
+  }
+
+  /**
+   * Object types a value of this type can be: itself for an object type,
+   * the members or implementations for a union or interface
+   */
+  getPossibleTypes(name: string): string[] {
+    const type = this.types.get(name);
+    if (!type) return [];
+    if (type.kind === 'OBJECT') return [name];
+    return (type.possibleTypes || []).map((possible) => possible.name);
+  }
+}
+
+/**
+ * Unwrap a { data: { __schema } } or { __schema } introspection result
+ */
+function readIntrospection(json: any, source: string): IntrospectionSchema {
+  const schema = json?.data?.__schema ?? json?.__schema;
+  if (!schema || !Array.isArray(schema.types)) {
+    const errors = json?.errors?.map((error: { message: string }) => error.message).join(', ');
+    throw new CodegenError(
+      errors
+        ? `Introspection failed: ${errors}`
+        : 'Not a GraphQL introspection result (expected __schema)',
+      source
+    );
+  }
+  return schema;
+}
+
+/**
+ * Load the schema from an introspection JSON file, or by running the
+ * introspection query against a Quickslice instance when given a URL
+ */
+export async function loadSchema(
+  source: string,
+  headers: Record<string, string> = {}
+): Promise<Schema> {
+  if (!/^https?:\/\//.test(source)) {
+    let json: unknown;
+    try {
+      json = JSON.parse(await readFile(source, 'utf8'));
+    } catch (err) {
+      throw new CodegenError(`Failed to read schema: ${(err as Error).message}`, source);
+    }
+    return new Schema(readIntrospection(json, source));
+  }
+
+  // Accept the instance URL as well as its /graphql endpoint
+  const url = new URL(source);
+  if (!url.pathname.endsWith('/graphql')) {
+    url.pathname = `${url.pathname.replace(/\/$/, '')}/graphql`;
+  }
+
+  let response: Response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify({ query: INTROSPECTION_QUERY }),
+    });
+  } catch (err) {
+    throw new CodegenError(`Failed to fetch schema: ${(err as Error).message}`, url.href);
+  }
+
+  if (!response.ok) {
+    throw new CodegenError(
+      `Failed to fetch schema: ${response.status} ${response.statusText}`,
+      url.href
+    );
+  }
+
+  return new Schema(readIntrospection(await response.json(), url.href));
+}
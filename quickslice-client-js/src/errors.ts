@@ -20,11 +20,28 @@ export class LoginRequiredError extends QuicksliceError {
 
 /**
  * Thrown when network request fails
+ * `status` is set when the server responded with a non-2xx HTTP status,
+ * `retryAfter` (ms) when it also sent a Retry-After header
  */
 export class NetworkError extends QuicksliceError {
-  constructor(message: string) {
+  public status?: number;
+  public retryAfter?: number;
+
+  constructor(message: string, status?: number, retryAfter?: number) {
     super(message);
     this.name = 'NetworkError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Thrown when a request takes longer than its `timeout`
+ */
+export class TimeoutError extends NetworkError {
+  constructor(message: string) {
+    super(message);
+    this.name = 'TimeoutError';
   }
 }
 
@@ -34,11 +51,97 @@ export class NetworkError extends QuicksliceError {
 export class OAuthError extends QuicksliceError {
   public code: string;
   public description?: string;
+  /** HTTP status of the token endpoint response, if the error came from one */
+  public status?: number;
 
-  constructor(code: string, description?: string) {
+  constructor(code: string, description?: string, status?: number) {
     super(`OAuth error: ${code}${description ? ` - ${description}` : ''}`);
     this.name = 'OAuthError';
     this.code = code;
     this.description = description;
+    this.status = status;
+  }
+}
+
+/**
+ * A single entry from a GraphQL response's `errors` array
+ */
+export interface GraphQLErrorDetail {
+  message: string;
+  path?: Array<string | number>;
+  locations?: Array<{ line: number; column: number }>;
+  extensions?: Record<string, unknown>;
+}
+
+/**
+ * Thrown when a GraphQL response contains errors
+ * Carries every error plus any partial data the server returned
+ */
+export class GraphQLResponseError extends QuicksliceError {
+  public errors: GraphQLErrorDetail[];
+  public data?: unknown;
+
+  constructor(errors: GraphQLErrorDetail[], data?: unknown) {
+    const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+    super(`GraphQL error: ${errors[0]?.message ?? 'Unknown error'}${more}`);
+    this.name = 'GraphQLResponseError';
+    this.errors = errors;
+    this.data = data;
+  }
+}
+
+/**
+ * Thrown when a popup login cannot complete
+ * `reason` is 'blocked', 'closed' (by the user) or 'timeout'
+ */
+export class PopupError extends QuicksliceError {
+  public reason: 'blocked' | 'closed' | 'timeout';
+
+  constructor(reason: 'blocked' | 'closed' | 'timeout', message: string) {
+    super(message);
+    this.name = 'PopupError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Thrown when a blob is rejected before upload
+ * `reason` tells whether its MIME type or its size was not allowed
+ */
+export class BlobValidationError extends QuicksliceError {
+  public reason: 'mimeType' | 'size';
+
+  constructor(reason: 'mimeType' | 'size', message: string) {
+    super(message);
+    this.name = 'BlobValidationError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Thrown when a request is cancelled through its AbortSignal
+ */
+export class AbortError extends QuicksliceError {
+  constructor(message = 'Request aborted') {
+    super(message);
+    this.name = 'AbortError';
+  }
+}
+
+/**
+ * Thrown by quickslice-codegen for invalid documents or schemas
+ * `file`, `line` and `column` point at the problem when it is in a document
+ */
+export class CodegenError extends QuicksliceError {
+  public file?: string;
+  public line?: number;
+  public column?: number;
+
+  constructor(message: string, file?: string, line?: number, column?: number) {
+    super(file ? `${file}${line ? `:${line}:${column}` : ''}: ${message}` : message);
+    this.name = 'CodegenError';
+    this.file = file;
+    this.line = line;
+    this.column = column;
   }
 }
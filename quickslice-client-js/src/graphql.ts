@@ -1,56 +1,193 @@
-import { createDPoPProof } from './auth/dpop';
+import { fetchWithDPoP, FetchLike } from './auth/dpop';
 import { getValidAccessToken } from './auth/tokens';
 import { Storage } from './storage/storage';
+import { parseRetryAfter } from './retry';
+import { getPersistedQueryExtensions, isPersistedQueryNotFound } from './persisted';
+import {
+  GraphQLErrorDetail,
+  GraphQLResponseError,
+  LoginRequiredError,
+  NetworkError,
+} from './errors';
 
 export interface GraphQLResponse<T = unknown> {
   data?: T;
-  errors?: Array<{ message: string; path?: string[] }>;
+  errors?: GraphQLErrorDetail[];
 }
 
 /**
- * Execute a GraphQL query or mutation
+ * A GraphQL document that carries its result and variables types, as
+ * emitted by quickslice-codegen. At runtime it is just the query string.
  */
-export async function graphqlRequest<T = unknown>(
+export type TypedDocument<TResult = unknown, TVariables = Record<string, unknown>> = string & {
+  readonly __resultType?: TResult;
+  readonly __variablesType?: TVariables;
+};
+
+export interface GraphQLOperation {
+  query: string;
+  variables: Record<string, unknown>;
+}
+
+/**
+ * POST a JSON body to the GraphQL endpoint, authenticated with DPoP when
+ * required, and return the parsed response
+ */
+async function postGraphQL(
   storage: Storage,
   namespace: string,
   graphqlUrl: string,
   tokenUrl: string,
-  query: string,
-  variables: Record<string, unknown> = {},
-  requireAuth = false
-): Promise<T> {
+  body: string,
+  requireAuth: boolean,
+  transport: FetchLike
+): Promise<unknown> {
   const headers: Record<string, string> = {
     'Content-Type': 'application/json',
   };
 
+  let response: Response;
+
   if (requireAuth) {
     const token = await getValidAccessToken(storage, namespace, tokenUrl);
     if (!token) {
-      throw new Error('Not authenticated');
+      throw new LoginRequiredError('Not authenticated');
     }
 
-    // Create DPoP proof bound to this request
-    const dpopProof = await createDPoPProof(namespace, 'POST', graphqlUrl, token);
-
     headers['Authorization'] = `DPoP ${token}`;
-    headers['DPoP'] = dpopProof;
-  }
 
-  const response = await fetch(graphqlUrl, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify({ query, variables }),
-  });
+    // DPoP proof is bound to this request (and retried on nonce challenge)
+    response = await fetchWithDPoP(
+      namespace,
+      graphqlUrl,
+      { method: 'POST', headers, body },
+      token,
+      transport
+    );
+  } else {
+    response = await transport(graphqlUrl, {
+      method: 'POST',
+      headers,
+      body,
+    }).catch((err) => {
+      throw new NetworkError(`GraphQL request failed: ${err.message}`);
+    });
+  }
 
   if (!response.ok) {
-    throw new Error(`GraphQL request failed: ${response.statusText}`);
+    throw new NetworkError(
+      `GraphQL request failed: ${response.statusText}`,
+      response.status,
+      parseRetryAfter(response.headers.get('Retry-After'))
+    );
   }
 
-  const result: GraphQLResponse<T> = await response.json();
+  return await response.json();
+}
+
+/**
+ * Execute a GraphQL query or mutation.
+ * With `persisted`, only the query's hash is sent, followed by the full
+ * query if the server hasn't seen it yet (Automatic Persisted Queries).
+ */
+export async function graphqlRequest<T = unknown>(
+  storage: Storage,
+  namespace: string,
+  graphqlUrl: string,
+  tokenUrl: string,
+  query: string,
+  variables: Record<string, unknown> = {},
+  requireAuth = false,
+  transport: FetchLike = (url, init) => fetch(url, init),
+  persisted = false
+): Promise<T> {
+  const post = async (body: unknown) =>
+    (await postGraphQL(
+      storage,
+      namespace,
+      graphqlUrl,
+      tokenUrl,
+      JSON.stringify(body),
+      requireAuth,
+      transport
+    )) as GraphQLResponse<T>;
+
+  let result: GraphQLResponse<T>;
+  if (persisted) {
+    const extensions = await getPersistedQueryExtensions(query);
+    result = await post({ variables, extensions });
+    if (isPersistedQueryNotFound(result)) {
+      result = await post({ query, variables, extensions });
+    }
+  } else {
+    result = await post({ query, variables });
+  }
 
   if (result.errors && result.errors.length > 0) {
-    throw new Error(`GraphQL error: ${result.errors[0].message}`);
+    throw new GraphQLResponseError(result.errors, result.data);
   }
 
   return result.data as T;
 }
+
+/**
+ * Execute several operations in one array-batched POST.
+ * Returns the raw response of each operation, in order.
+ * With `persisted`, operations are sent by hash and the ones the server
+ * doesn't know are sent again with their query in a second batch.
+ */
+export async function graphqlBatchRequest(
+  storage: Storage,
+  namespace: string,
+  graphqlUrl: string,
+  tokenUrl: string,
+  operations: GraphQLOperation[],
+  requireAuth = false,
+  transport: FetchLike = (url, init) => fetch(url, init),
+  persisted = false
+): Promise<GraphQLResponse[]> {
+  const post = async (bodies: unknown[]) => {
+    const results = await postGraphQL(
+      storage,
+      namespace,
+      graphqlUrl,
+      tokenUrl,
+      JSON.stringify(bodies),
+      requireAuth,
+      transport
+    );
+
+    if (!Array.isArray(results) || results.length !== bodies.length) {
+      throw new NetworkError('GraphQL batch response does not match the request');
+    }
+    return results as GraphQLResponse[];
+  };
+
+  if (!persisted) {
+    return await post(operations);
+  }
+
+  const extensions = await Promise.all(
+    operations.map((operation) => getPersistedQueryExtensions(operation.query))
+  );
+  const results = await post(
+    operations.map((operation, i) => ({
+      variables: operation.variables,
+      extensions: extensions[i],
+    }))
+  );
+
+  const missing = results
+    .map((result, i) => (isPersistedQueryNotFound(result) ? i : -1))
+    .filter((i) => i >= 0);
+  if (missing.length > 0) {
+    const retried = await post(
+      missing.map((i) => ({ ...operations[i], extensions: extensions[i] }))
+    );
+    missing.forEach((index, i) => {
+      results[index] = retried[i];
+    });
+  }
+
+  return results;
+}
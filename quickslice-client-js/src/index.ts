@@ -1,9 +1,91 @@
-export { QuicksliceClient, QuicksliceClientOptions, User } from './client';
+export {
+  QuicksliceClient,
+  QuicksliceClientOptions,
+  User,
+  PopupLoginOptions,
+  AddAccountOptions,
+  LogoutOptions,
+  QueryOptions,
+  MutateOptions,
+  PaginateOptions,
+} from './client';
+export { LoginOptions } from './auth/oauth';
+export { Account } from './auth/accounts';
+export { handlePopupCallback } from './auth/popup';
+export {
+  StorageAdapter,
+  createMemoryStorageAdapter,
+  createLocalStorageAdapter,
+  createSessionStorageAdapter,
+  createIndexedDBStorageAdapter,
+} from './storage/adapters';
+export {
+  DPoPKeyStore,
+  DPoPKeyData,
+  createIndexedDBKeyStore,
+  createMemoryKeyStore,
+} from './auth/keystore';
+export { SubscriptionHandlers, WebSocketConstructor } from './subscriptions';
+export { NormalizedCache, CachePolicy } from './cache';
+export {
+  Paginator,
+  Connection,
+  ConnectionOptions,
+  Edge,
+  PageInfo,
+  mergeConnection,
+} from './pagination';
+export { BlobRef, UploadBlobOptions, UploadProgress } from './blobs';
+export { BatchOptions } from './batch';
+export { TypedDocument } from './graphql';
+export {
+  ObservableQuery,
+  QueryState,
+  QueryObserver,
+  WatchQueryOptions,
+  Unsubscribe,
+} from './observable';
+export {
+  OfflineQueue,
+  OfflineQueueOptions,
+  OfflineQueueState,
+  OfflineQueueListener,
+  MutationFailureListener,
+  QueuedMutation,
+} from './offline';
+export {
+  NotificationFeed,
+  NotificationFeedOptions,
+  NotificationFeedState,
+  NotificationFeedListener,
+  NotificationItem,
+} from './notifications';
+export {
+  Moderation,
+  ModerationDecision,
+  ModerationReason,
+  Label,
+  LabelPreference,
+  LabelPreferencesListener,
+  LabelVisibility,
+  LabelSeverity,
+  Report,
+  ReportReasonType,
+} from './moderation';
+export { RetryOptions, RequestOptions } from './retry';
+export { AuthStateEvent, AuthStateListener } from './auth/events';
+export { AutoRefreshOptions } from './auth/scheduler';
 export {
   QuicksliceError,
   LoginRequiredError,
   NetworkError,
   OAuthError,
+  GraphQLResponseError,
+  GraphQLErrorDetail,
+  PopupError,
+  BlobValidationError,
+  AbortError,
+  TimeoutError,
 } from './errors';
 
 import { QuicksliceClient, QuicksliceClientOptions } from './client';
@@ -0,0 +1,294 @@
+import { QuicksliceClient } from './client';
+import { RequestOptions } from './retry';
+import { QuicksliceError } from './errors';
+import { ErrorHandler, notifyListeners } from './utils/listeners';
+
+export type LabelVisibility = 'IGNORE' | 'SHOW' | 'WARN' | 'HIDE';
+
+export type LabelSeverity = 'INFORM' | 'ALERT' | 'TAKEDOWN';
+
+export type ReportReasonType = 'SPAM' | 'VIOLATION' | 'MISLEADING' | 'SEXUAL' | 'RUDE' | 'OTHER';
+
+/**
+ * A label definition with the viewer's visibility setting for it
+ */
+export interface LabelPreference {
+  val: string;
+  description: string;
+  severity: LabelSeverity;
+  defaultVisibility: LabelVisibility;
+  /** The viewer's setting, or the default if they haven't set one */
+  visibility: LabelVisibility;
+}
+
+/**
+ * A label as selected from a record's `labels` field
+ */
+export interface Label {
+  val: string;
+  src?: string;
+  cts?: string;
+}
+
+export interface ModerationReason {
+  /** Label value, e.g. 'porn' or '!warn' */
+  val: string;
+  visibility: LabelVisibility;
+  /** From the label definition; unset for system and unknown labels */
+  description?: string;
+  /** System labels (starting with '!') can't be configured by the viewer */
+  system: boolean;
+}
+
+export interface ModerationDecision {
+  /** False when the record should not be displayed */
+  show: boolean;
+  /** True when the record should be covered by a warning the viewer can click through */
+  blur: boolean;
+  /** Labels that hide or blur the record, most restrictive first */
+  reasons: ModerationReason[];
+}
+
+export interface Report {
+  id: number;
+  subjectUri: string;
+  reasonType: ReportReasonType;
+  reason: string | null;
+  status: 'PENDING' | 'RESOLVED' | 'DISMISSED';
+  createdAt: string;
+}
+
+export type LabelPreferencesListener = (preferences: LabelPreference[]) => void;
+
+// Fixed by the server; viewers can't change them
+const SYSTEM_LABELS: Record<string, LabelVisibility> = {
+  '!takedown': 'HIDE',
+  '!suspend': 'HIDE',
+  '!hide': 'HIDE',
+  '!warn': 'WARN',
+};
+
+// Labels without a definition are treated as WARN, to be safe
+const UNKNOWN_VISIBILITY: LabelVisibility = 'WARN';
+
+const RESTRICTIVENESS: Record<LabelVisibility, number> = {
+  IGNORE: 0,
+  SHOW: 0,
+  WARN: 1,
+  HIDE: 2,
+};
+
+const PREFERENCE_FIELDS = 'val description severity defaultVisibility visibility';
+
+const PREFERENCES_QUERY = `query ViewerLabelPreferences {
+  viewerLabelPreferences { ${PREFERENCE_FIELDS} }
+}`;
+
+const SET_PREFERENCE_MUTATION = `mutation SetLabelPreference($val: String!, $visibility: LabelVisibility!) {
+  setLabelPreference(val: $val, visibility: $visibility) { ${PREFERENCE_FIELDS} }
+}`;
+
+const CREATE_REPORT_MUTATION = `mutation CreateReport($subjectUri: String!, $reasonType: ReportReasonType!, $reason: String) {
+  createReport(subjectUri: $subjectUri, reasonType: $reasonType, reason: $reason) {
+    id subjectUri reasonType reason status createdAt
+  }
+}`;
+
+/**
+ * Applies the viewer's label preferences to records, so every app hides
+ * and blurs labeled content the same way. Also sets preferences and
+ * submits reports.
+ *
+ * Preferences are loaded once per session and kept until login, logout or
+ * a preference change. Labels without a loaded definition, including
+ * every label for signed-out viewers, are treated as WARN.
+ */
+export class Moderation {
+  private client: QuicksliceClient;
+  private preferences: Map<string, LabelPreference> | null = null;
+  private loading: Promise<LabelPreference[]> | null = null;
+  // Bumped on auth changes and refreshes so older loads are ignored
+  private generation = 0;
+  private listeners = new Set<LabelPreferencesListener>();
+  private onError?: ErrorHandler;
+
+  constructor(client: QuicksliceClient, onError?: ErrorHandler) {
+    this.client = client;
+    this.onError = onError;
+    client.onAuthStateChange((event) => {
+      if (event !== 'tokenRefreshed') this.clear();
+    });
+  }
+
+  /**
+   * Load the viewer's label preferences, once per session
+   */
+  load(): Promise<LabelPreference[]> {
+    if (this.preferences) {
+      return Promise.resolve([...this.preferences.values()]);
+    }
+    if (!this.loading) {
+      const loading = this.fetch().finally(() => {
+        if (this.loading === loading) this.loading = null;
+      });
+      this.loading = loading;
+    }
+    return this.loading;
+  }
+
+  /**
+   * Load the preferences again, e.g. after they were changed in another app
+   */
+  refresh(): Promise<LabelPreference[]> {
+    this.clear();
+    return this.load();
+  }
+
+  /**
+   * The loaded preferences, or null before load()
+   */
+  getPreferences(): LabelPreference[] | null {
+    return this.preferences ? [...this.preferences.values()] : null;
+  }
+
+  /**
+   * Listen for loaded or changed preferences, e.g. to moderate records
+   * again. Returns a function that removes the listener.
+   */
+  onChange(listener: LabelPreferencesListener): () => void {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Decide how to display a record from its labels. Uses the preferences
+   * loaded so far; call load() first to apply the viewer's settings.
+   */
+  moderate(record: { labels?: Label[] | null }): ModerationDecision {
+    const reasons: ModerationReason[] = [];
+    const seen = new Set<string>();
+
+    for (const label of record.labels ?? []) {
+      // Self-labels and moderator labels can share a value
+      if (seen.has(label.val)) continue;
+      seen.add(label.val);
+
+      const reason = this.resolve(label.val);
+      if (RESTRICTIVENESS[reason.visibility] > 0) {
+        reasons.push(reason);
+      }
+    }
+
+    reasons.sort((a, b) => RESTRICTIVENESS[b.visibility] - RESTRICTIVENESS[a.visibility]);
+    const strictest = reasons[0]?.visibility;
+
+    return {
+      show: strictest !== 'HIDE',
+      blur: strictest === 'WARN',
+      reasons,
+    };
+  }
+
+  /**
+   * Set how the viewer wants a label displayed. System labels can't be set.
+   */
+  async setPreference(
+    val: string,
+    visibility: LabelVisibility,
+    options: RequestOptions = {}
+  ): Promise<LabelPreference> {
+    const data = await this.client.mutate<{ setLabelPreference: LabelPreference }>(
+      SET_PREFERENCE_MUTATION,
+      { val, visibility },
+      options
+    );
+
+    const preference = data.setLabelPreference;
+    if (this.preferences) {
+      this.preferences.set(preference.val, preference);
+      this.emit();
+    }
+    return preference;
+  }
+
+  /**
+   * Go back to the label's default visibility
+   */
+  async resetPreference(val: string, options: RequestOptions = {}): Promise<LabelPreference> {
+    await this.load();
+    const preference = this.preferences?.get(val);
+    if (!preference) {
+      throw new QuicksliceError(`Unknown label: ${val}`);
+    }
+    return this.setPreference(val, preference.defaultVisibility, options);
+  }
+
+  /**
+   * Report a record (at:// URI) or account (DID) to the moderators.
+   * Reporting the same subject twice returns the existing report.
+   */
+  async report(
+    subjectUri: string,
+    reasonType: ReportReasonType,
+    reason?: string,
+    options: RequestOptions = {}
+  ): Promise<Report> {
+    const data = await this.client.mutate<{ createReport: Report }>(
+      CREATE_REPORT_MUTATION,
+      { subjectUri, reasonType, reason: reason ?? null },
+      options
+    );
+    return data.createReport;
+  }
+
+  private clear(): void {
+    this.generation++;
+    this.preferences = null;
+    this.loading = null;
+  }
+
+  private async fetch(): Promise<LabelPreference[]> {
+    const generation = this.generation;
+
+    // Preferences belong to a user; signed out, the defaults apply
+    let list: LabelPreference[] = [];
+    if (await this.client.isAuthenticated()) {
+      const data = await this.client.query<{ viewerLabelPreferences: LabelPreference[] }>(
+        PREFERENCES_QUERY,
+        {},
+        { cachePolicy: 'network-first' }
+      );
+      list = data.viewerLabelPreferences;
+    }
+
+    if (generation === this.generation) {
+      this.preferences = new Map(list.map((preference) => [preference.val, preference]));
+      this.emit();
+    }
+    return list;
+  }
+
+  private resolve(val: string): ModerationReason {
+    const system = SYSTEM_LABELS[val];
+    if (system) {
+      return { val, visibility: system, system: true };
+    }
+
+    const preference = this.preferences?.get(val);
+    if (!preference) {
+      return { val, visibility: UNKNOWN_VISIBILITY, system: val.startsWith('!') };
+    }
+    return {
+      val,
+      visibility: preference.visibility,
+      description: preference.description,
+      system: false,
+    };
+  }
+
+  private emit(): void {
+    notifyListeners(this.listeners, [[...this.preferences!.values()]], this.onError);
+  }
+}
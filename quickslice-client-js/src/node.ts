@@ -0,0 +1,123 @@
+/**
+ * Node.js entry point
+ *
+ * Re-exports the core SDK plus file-backed stores, so scripts and
+ * server-side code can keep a session across process restarts.
+ */
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { StorageAdapter } from './storage/adapters';
+import { DPoPKeyData, DPoPKeyStore } from './auth/keystore';
+
+export * from './index';
+
+interface SerializedDPoPKey {
+  id: string;
+  privateJwk: JsonWebKey;
+  publicJwk: JsonWebKey;
+  createdAt: number;
+}
+
+async function readJsonFile<T>(filePath: string): Promise<Record<string, T>> {
+  try {
+    return JSON.parse(await readFile(filePath, 'utf8'));
+  } catch (err) {
+    if ((err as NodeJS.ErrnoException).code === 'ENOENT') {
+      return {};
+    }
+    throw err;
+  }
+}
+
+async function writeJsonFile(filePath: string, data: unknown): Promise<void> {
+  await mkdir(dirname(filePath), { recursive: true });
+  // Write then rename so a crash never leaves a half-written file
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await writeFile(tmpPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+  await rename(tmpPath, filePath);
+}
+
+/**
+ * Store tokens and OAuth session state in a JSON file (created with mode 0600)
+ */
+export function createFileStorageAdapter(filePath: string): StorageAdapter {
+  // Serialize writes so concurrent updates don't clobber each other
+  let queue: Promise<unknown> = Promise.resolve();
+  const update = (fn: (items: Record<string, string>) => void): Promise<void> => {
+    const next = queue.then(async () => {
+      const items = await readJsonFile<string>(filePath);
+      fn(items);
+      await writeJsonFile(filePath, items);
+    });
+    queue = next.catch(() => {});
+    return next;
+  };
+
+  return {
+    async getItem(key) {
+      await queue;
+      const items = await readJsonFile<string>(filePath);
+      return items[key] ?? null;
+    },
+    setItem(key, value) {
+      return update((items) => {
+        items[key] = value;
+      });
+    },
+    removeItem(key) {
+      return update((items) => {
+        delete items[key];
+      });
+    },
+  };
+}
+
+/**
+ * Store DPoP keys in a JSON file (created with mode 0600).
+ * The private key is exported as a JWK, so keep this file as secret as the tokens.
+ */
+export function createFileDPoPKeyStore(filePath: string): DPoPKeyStore {
+  const keyStore: DPoPKeyStore = {
+    extractable: true,
+
+    async get(namespace) {
+      const keys = await readJsonFile<SerializedDPoPKey>(filePath);
+      const serialized = keys[namespace];
+      if (!serialized) return null;
+
+      const privateKey = await crypto.subtle.importKey(
+        'jwk',
+        serialized.privateJwk,
+        { name: 'ECDSA', namedCurve: 'P-256' },
+        // put() exports the key again, e.g. when it is moved to another account
+        keyStore.extractable,
+        ['sign']
+      );
+
+      return {
+        id: serialized.id,
+        privateKey,
+        publicJwk: serialized.publicJwk,
+        createdAt: serialized.createdAt,
+      };
+    },
+
+    async put(namespace, keyData: DPoPKeyData) {
+      const keys = await readJsonFile<SerializedDPoPKey>(filePath);
+      keys[namespace] = {
+        id: keyData.id,
+        privateJwk: await crypto.subtle.exportKey('jwk', keyData.privateKey),
+        publicJwk: keyData.publicJwk,
+        createdAt: keyData.createdAt,
+      };
+      await writeJsonFile(filePath, keys);
+    },
+
+    async clear(namespace) {
+      const keys = await readJsonFile<SerializedDPoPKey>(filePath);
+      delete keys[namespace];
+      await writeJsonFile(filePath, keys);
+    },
+  };
+  return keyStore;
+}
@@ -0,0 +1,415 @@
+import { StorageAdapter } from './storage/adapters';
+import { QuicksliceClient } from './client';
+import { Unsubscribe } from './observable';
+import { ErrorHandler, notifyListeners } from './utils/listeners';
+
+const DEFAULT_PAGE_SIZE = 20;
+// Per-notification markers kept beyond the last-seen cursor
+const MAX_MARKERS = 500;
+
+export interface NotificationFeedOptions {
+  /**
+   * Selection for each notification, e.g.
+   * `... on AppBskyFeedLike { uri did createdAt }`. Every type must select `uri`.
+   */
+  fields: string;
+  /** Only notifications from these collections, as NSIDs (e.g. 'app.bsky.feed.like') */
+  collections?: string[];
+  /** Notifications per page (default 20) */
+  first?: number;
+  /** Prepend new notifications from the live subscription (default true) */
+  live?: boolean;
+}
+
+export interface NotificationItem<T> {
+  node: T;
+  read: boolean;
+}
+
+export interface NotificationFeedState<T> {
+  /** Loaded notifications, newest first */
+  items: NotificationItem<T>[];
+  /** Unread notifications among the loaded ones */
+  unreadCount: number;
+  /** Whether fetchMore() can load older notifications */
+  hasMore: boolean;
+  loading: boolean;
+  error: Error | undefined;
+}
+
+export type NotificationFeedListener<T> = (state: NotificationFeedState<T>) => void;
+
+/**
+ * What the viewer has read. Notifications at or before `lastSeen` (a
+ * record key) are read unless marked unread; later ones are unread unless
+ * marked read.
+ */
+interface ReadState {
+  lastSeen: string | null;
+  read: string[];
+  unread: string[];
+}
+
+export interface ReadStateStore {
+  get(did: string): Promise<ReadState>;
+  set(did: string, state: ReadState): Promise<void>;
+}
+
+interface NotificationNode {
+  uri: string;
+}
+
+interface NotificationsPage<T> {
+  notifications: {
+    edges: { node: T; cursor: string }[];
+    pageInfo: { hasNextPage: boolean; endCursor: string | null };
+  };
+}
+
+/**
+ * Read state per DID, kept next to the session in the persistent storage
+ */
+export function createReadStateStore(
+  getAdapter: () => StorageAdapter,
+  namespace: () => string
+): ReadStateStore {
+  const key = (did: string) => `quickslice_${namespace()}_notifications_${did}`;
+
+  return {
+    async get(did) {
+      const stored = await getAdapter().getItem(key(did));
+      if (!stored) return { lastSeen: null, read: [], unread: [] };
+      try {
+        return JSON.parse(stored) as ReadState;
+      } catch {
+        return { lastSeen: null, read: [], unread: [] };
+      }
+    },
+    async set(did, state) {
+      await getAdapter().setItem(key(did), JSON.stringify(state));
+    },
+  };
+}
+
+/**
+ * Record key of an AT-URI; notifications are ordered by it
+ */
+function getRkey(uri: string): string {
+  return uri.slice(uri.lastIndexOf('/') + 1);
+}
+
+function toCollectionEnum(nsid: string): string {
+  return nsid.replace(/\./g, '_').toUpperCase();
+}
+
+function isRead(state: ReadState, uri: string): boolean {
+  if (state.unread.includes(uri)) return false;
+  if (state.read.includes(uri)) return true;
+  return state.lastSeen !== null && getRkey(uri) <= state.lastSeen;
+}
+
+function sameState<T>(a: NotificationFeedState<T>, b: NotificationFeedState<T>): boolean {
+  return (
+    a.loading === b.loading &&
+    a.error === b.error &&
+    a.hasMore === b.hasMore &&
+    a.items.length === b.items.length &&
+    a.items.every((item, i) => item.node === b.items[i].node && item.read === b.items[i].read)
+  );
+}
+
+/**
+ * The viewer's notifications: pages of the `notifications` query with new
+ * ones from the `notificationCreated` subscription prepended, each marked
+ * read or unread. Read state is stored per DID, so unread counts survive
+ * reloads.
+ *
+ * Loads when the first listener subscribes, starts over after login or
+ * logout and stops listening once the last listener unsubscribes.
+ */
+export class NotificationFeed<T extends NotificationNode = NotificationNode> {
+  private client: QuicksliceClient;
+  private store: ReadStateStore;
+  private options: NotificationFeedOptions;
+  private query: string;
+  private subscription: string;
+  private did: string | null = null;
+  private readState: ReadState = { lastSeen: null, read: [], unread: [] };
+  private nodes: T[] = [];
+  private endCursor: string | null = null;
+  private hasMore = false;
+  private loading = true;
+  private error: Error | undefined = undefined;
+  // Set when the live subscription ends with an error, until refresh()
+  private liveError: Error | undefined = undefined;
+  private state: NotificationFeedState<T>;
+  private listeners = new Set<NotificationFeedListener<T>>();
+  // Bumped on every (re)start so results for an earlier one are ignored
+  private generation = 0;
+  private stopAuth: (() => void) | null = null;
+  private stopLive: (() => void) | null = null;
+  private onError?: ErrorHandler;
+
+  constructor(
+    client: QuicksliceClient,
+    store: ReadStateStore,
+    options: NotificationFeedOptions,
+    onError?: ErrorHandler
+  ) {
+    this.client = client;
+    this.store = store;
+    this.options = options;
+    this.onError = onError;
+    this.state = this.buildState();
+
+    const node = `__typename ${options.fields}`;
+    this.query = `query Notifications($first: Int, $after: String, $collections: [RecordCollection]) {
+  notifications(first: $first, after: $after, collections: $collections) {
+    edges { node { ${node} } cursor }
+    pageInfo { hasNextPage endCursor }
+  }
+}`;
+    this.subscription = `subscription NotificationCreated($did: String!, $collections: [RecordCollection]) {
+  notificationCreated(subscriberDid: $did, collections: $collections) { ${node} }
+}`;
+  }
+
+  /**
+   * Receive the current state right away and every state after it
+   */
+  subscribe(listener: NotificationFeedListener<T>): Unsubscribe {
+    this.listeners.add(listener);
+    listener(this.state);
+
+    if (this.listeners.size === 1) {
+      this.stopAuth = this.client.onAuthStateChange((event) => {
+        if (event !== 'tokenRefreshed') this.start();
+      });
+      this.start();
+    }
+
+    const unsubscribe = () => {
+      if (this.listeners.delete(listener) && this.listeners.size === 0) {
+        this.stop();
+      }
+    };
+    return Object.assign(unsubscribe, { unsubscribe });
+  }
+
+  getState(): NotificationFeedState<T> {
+    return this.state;
+  }
+
+  /**
+   * Load the next page of older notifications
+   */
+  async fetchMore(): Promise<void> {
+    if (!this.hasMore || this.loading) return;
+    await this.fetchPage(this.generation, this.endCursor);
+  }
+
+  /**
+   * Load the newest page again, keeping read state, and restart the live
+   * subscription if it failed
+   */
+  async refresh(): Promise<void> {
+    if (this.listeners.size === 0) return;
+    if (this.liveError && this.did) {
+      this.liveError = undefined;
+      this.startLive(this.generation, this.did);
+    }
+    await this.fetchPage(this.generation, null);
+  }
+
+  /**
+   * Mark one notification read
+   */
+  markRead(uri: string): Promise<void> {
+    return this.updateReadState((state) => {
+      state.unread = state.unread.filter((marked) => marked !== uri);
+      if (!isRead(state, uri)) state.read.push(uri);
+    });
+  }
+
+  /**
+   * Mark one notification unread
+   */
+  markUnread(uri: string): Promise<void> {
+    return this.updateReadState((state) => {
+      state.read = state.read.filter((marked) => marked !== uri);
+      if (isRead(state, uri)) state.unread.push(uri);
+    });
+  }
+
+  /**
+   * Mark every loaded notification read, moving the last-seen cursor to
+   * the newest one
+   */
+  markAllRead(): Promise<void> {
+    const newest = this.nodes.reduce<string | null>((max, node) => {
+      const rkey = getRkey(node.uri);
+      return max === null || rkey > max ? rkey : max;
+    }, null);
+
+    return this.updateReadState((state) => {
+      if (newest !== null && (state.lastSeen === null || newest > state.lastSeen)) {
+        state.lastSeen = newest;
+      }
+      const lastSeen = state.lastSeen;
+      state.unread = [];
+      state.read = state.read.filter((uri) => lastSeen === null || getRkey(uri) > lastSeen);
+    });
+  }
+
+  private async start(): Promise<void> {
+    const generation = ++this.generation;
+    this.stopLive?.();
+    this.stopLive = null;
+    this.nodes = [];
+    this.endCursor = null;
+    this.hasMore = false;
+    this.error = undefined;
+    this.liveError = undefined;
+    this.loading = true;
+    this.emit();
+
+    const user = await this.client.getUser();
+    if (generation !== this.generation) return;
+    if (!user) {
+      // Nothing to show until someone signs in
+      this.did = null;
+      this.readState = { lastSeen: null, read: [], unread: [] };
+      this.loading = false;
+      this.emit();
+      return;
+    }
+
+    this.did = user.did;
+    this.readState = await this.store.get(user.did);
+    if (generation !== this.generation) return;
+
+    this.startLive(generation, user.did);
+    await this.fetchPage(generation, null);
+  }
+
+  private startLive(generation: number, did: string): void {
+    if (this.options.live === false) return;
+
+    this.stopLive = this.client.subscribe<{ notificationCreated: T }>(
+      this.subscription,
+      { did, collections: this.collections() },
+      {
+        next: (data) => {
+          if (generation === this.generation) this.prepend(data.notificationCreated);
+        },
+        error: (error) => {
+          if (generation !== this.generation) return;
+          // End it for good, even if the server kept it open after the error
+          this.stopLive?.();
+          this.stopLive = null;
+          this.liveError = error as Error;
+          this.emit();
+        },
+      }
+    );
+  }
+
+  private stop(): void {
+    this.generation++;
+    this.stopAuth?.();
+    this.stopLive?.();
+    this.stopAuth = null;
+    this.stopLive = null;
+  }
+
+  private async fetchPage(generation: number, after: string | null): Promise<void> {
+    this.loading = true;
+    this.emit();
+
+    try {
+      const data = await this.client.query<NotificationsPage<T>>(
+        this.query,
+        { first: this.options.first ?? DEFAULT_PAGE_SIZE, after, collections: this.collections() },
+        { cachePolicy: 'network-first' }
+      );
+      if (generation !== this.generation) return;
+
+      const page = data.notifications.edges.map((edge) => edge.node);
+      // A first page keeps live notifications that arrived while it loaded
+      this.nodes = after === null ? this.merge(page, this.nodes) : this.merge(this.nodes, page);
+      if (after !== null || this.endCursor === null) {
+        this.endCursor = data.notifications.pageInfo.endCursor;
+        this.hasMore = data.notifications.pageInfo.hasNextPage;
+      }
+      this.error = undefined;
+    } catch (err) {
+      if (generation !== this.generation) return;
+      this.error = err as Error;
+    }
+
+    this.loading = false;
+    this.emit();
+  }
+
+  private prepend(node: T): void {
+    if (this.nodes.some((existing) => existing.uri === node.uri)) return;
+    this.nodes = [node, ...this.nodes];
+    this.emit();
+  }
+
+  /**
+   * Both lists without duplicates, newest first
+   */
+  private merge(first: T[], second: T[]): T[] {
+    const byUri = new Map<string, T>();
+    for (const node of [...first, ...second]) {
+      if (!byUri.has(node.uri)) byUri.set(node.uri, node);
+    }
+    return [...byUri.values()].sort((a, b) => {
+      const ak = getRkey(a.uri);
+      const bk = getRkey(b.uri);
+      return ak === bk ? 0 : ak > bk ? -1 : 1;
+    });
+  }
+
+  private async updateReadState(change: (state: ReadState) => void): Promise<void> {
+    const did = this.did;
+    if (!did) return;
+
+    // Start from what is stored, in case another feed or tab changed it
+    const state = await this.store.get(did);
+    change(state);
+    state.read = state.read.slice(-MAX_MARKERS);
+    state.unread = state.unread.slice(-MAX_MARKERS);
+    await this.store.set(did, state);
+
+    if (did === this.did) {
+      this.readState = state;
+      this.emit();
+    }
+  }
+
+  private collections(): string[] | null {
+    return this.options.collections?.map(toCollectionEnum) ?? null;
+  }
+
+  private buildState(): NotificationFeedState<T> {
+    const items = this.nodes.map((node) => ({ node, read: isRead(this.readState, node.uri) }));
+    return {
+      items,
+      unreadCount: items.filter((item) => !item.read).length,
+      hasMore: this.hasMore,
+      loading: this.loading,
+      error: this.error ?? this.liveError,
+    };
+  }
+
+  private emit(): void {
+    const state = this.buildState();
+    // Starting and loading a page often report the same state twice
+    if (sameState(state, this.state)) return;
+
+    this.state = state;
+    notifyListeners(this.listeners, [state], this.onError);
+  }
+}
@@ -0,0 +1,203 @@
+import { NormalizedCache } from './cache';
+import { ConnectionOptions } from './pagination';
+import { QuicksliceClient, QueryOptions } from './client';
+import { ErrorHandler, notifyListeners } from './utils/listeners';
+
+export interface QueryState<T> {
+  data: T | undefined;
+  error: Error | undefined;
+  loading: boolean;
+}
+
+export interface WatchQueryOptions extends QueryOptions {
+  /** Run the query without authentication, like publicQuery() */
+  public?: boolean;
+}
+
+export type QueryObserver<T> =
+  | ((state: QueryState<T>) => void)
+  | { next?: (state: QueryState<T>) => void };
+
+/**
+ * Ends a subscription. Callable directly (Svelte stores) or through
+ * `.unsubscribe()` (observables).
+ */
+export interface Unsubscribe {
+  (): void;
+  unsubscribe(): void;
+}
+
+/**
+ * A query whose state - loading, data and error - can be subscribed to.
+ * Fetches when the first observer subscribes, then follows cache updates
+ * (with the client's cache enabled) and refetches after login or logout.
+ * Stops listening once the last observer unsubscribes.
+ *
+ * It follows the Svelte store contract and the Observable `subscribe`
+ * shape, so it works with `$store` syntax, Solid's `from()` and RxJS `from()`.
+ */
+export class ObservableQuery<T = unknown, V extends Record<string, unknown> = Record<string, unknown>> {
+  private client: QuicksliceClient;
+  private query: string;
+  private variables: V;
+  private options: WatchQueryOptions;
+  private state: QueryState<T> = { data: undefined, error: undefined, loading: true };
+  private observers = new Set<(state: QueryState<T>) => void>();
+  private requestId = 0;
+  private stopAuth: (() => void) | null = null;
+  private stopCache: (() => void) | null = null;
+  private onError?: ErrorHandler;
+
+  constructor(
+    client: QuicksliceClient,
+    query: string,
+    variables: V,
+    options: WatchQueryOptions,
+    onError?: ErrorHandler
+  ) {
+    this.client = client;
+    this.query = query;
+    this.variables = variables;
+    this.options = options;
+    this.onError = onError;
+  }
+
+  /**
+   * Receive the current state right away and every state after it
+   */
+  subscribe(observer: QueryObserver<T>): Unsubscribe {
+    const next =
+      typeof observer === 'function'
+        ? observer
+        : (state: QueryState<T>) => observer.next?.(state);
+    this.observers.add(next);
+    next(this.state);
+
+    if (this.observers.size === 1) {
+      this.start();
+    }
+
+    const unsubscribe = () => {
+      if (this.observers.delete(next) && this.observers.size === 0) {
+        this.stop();
+      }
+    };
+    return Object.assign(unsubscribe, { unsubscribe });
+  }
+
+  getState(): QueryState<T> {
+    return this.state;
+  }
+
+  getVariables(): V {
+    return this.variables;
+  }
+
+  /**
+   * Fetch the query again from the server
+   */
+  refetch(): Promise<void> {
+    return this.fetch({ cachePolicy: 'network-first' });
+  }
+
+  /**
+   * Switch to new variables and fetch; the current data stays until the
+   * new result arrives
+   */
+  setVariables(variables: V): Promise<void> {
+    this.variables = variables;
+    if (this.observers.size === 0) return Promise.resolve();
+
+    this.watchCache();
+    return this.fetch();
+  }
+
+  /**
+   * Fetch the next page of a connection in the result and merge it in
+   */
+  async fetchMore(connection: ConnectionOptions): Promise<void> {
+    const previous = this.state.data;
+    if (previous === undefined) return;
+
+    try {
+      const merged = await this.client.fetchMore(this.query, this.variables, previous, {
+        ...this.options,
+        ...connection,
+      });
+      // Keep every loaded page under this query so cache updates don't drop them
+      this.client.cache?.writeQuery(this.cacheKey(), merged);
+      this.setState({ data: merged, error: undefined, loading: false });
+    } catch (err) {
+      this.setState({ ...this.state, error: err as Error });
+    }
+  }
+
+  private start(): void {
+    this.stopAuth = this.client.onAuthStateChange((event) => {
+      if (event !== 'tokenRefreshed') this.refetch();
+    });
+    this.watchCache();
+    this.fetch();
+  }
+
+  private stop(): void {
+    this.stopAuth?.();
+    this.stopCache?.();
+    this.stopAuth = null;
+    this.stopCache = null;
+    // Ignore results still in flight
+    this.requestId++;
+  }
+
+  private watchCache(): void {
+    this.stopCache?.();
+    this.stopCache =
+      this.client.cache?.watch<T>(this.cacheKey(), (data) => {
+        if (data === undefined) {
+          // Dropped from the cache, e.g. a record in it was deleted
+          this.refetch();
+        } else {
+          this.setState({ data, error: undefined, loading: false });
+        }
+      }) ?? null;
+  }
+
+  private async fetch(overrides: QueryOptions = {}): Promise<void> {
+    const id = ++this.requestId;
+    if (!this.state.loading) {
+      this.setState({ ...this.state, loading: true });
+    }
+
+    const options = { ...this.options, ...overrides };
+    try {
+      const data = this.options.public
+        ? await this.client.publicQuery<T>(this.query, this.variables, options)
+        : await this.client.query<T>(this.query, this.variables, options);
+      if (id === this.requestId) {
+        this.setState({ data, error: undefined, loading: false });
+      }
+    } catch (err) {
+      if (id === this.requestId) {
+        this.setState({ ...this.state, error: err as Error, loading: false });
+      }
+    }
+  }
+
+  private cacheKey(): string {
+    return NormalizedCache.key(this.query, this.variables, this.options.public ? 'public' : 'auth');
+  }
+
+  private setState(state: QueryState<T>): void {
+    // A fetch and the cache watcher often report the same result
+    if (
+      state.loading === this.state.loading &&
+      state.error === this.state.error &&
+      JSON.stringify(state.data) === JSON.stringify(this.state.data)
+    ) {
+      return;
+    }
+
+    this.state = state;
+    notifyListeners(this.observers, [state], this.onError);
+  }
+}
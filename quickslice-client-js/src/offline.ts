@@ -0,0 +1,385 @@
+import { MUTATION_STORE, withObjectStore } from './storage/database';
+import { LoginRequiredError, NetworkError, OAuthError, QuicksliceError, TimeoutError } from './errors';
+import { notifyListeners } from './utils/listeners';
+
+const DEFAULT_RETRY_INTERVAL_MS = 30000;
+
+export interface OfflineQueueOptions {
+  /** How often to retry while the server stays unreachable, in ms (default 30000) */
+  retryInterval?: number;
+}
+
+/**
+ * A mutation waiting to be sent
+ */
+export interface QueuedMutation {
+  id: number;
+  query: string;
+  variables: Record<string, unknown>;
+  /** User who made the mutation; it is only replayed while they are signed in */
+  did: string;
+  createdAt: number;
+}
+
+export interface OfflineQueueState {
+  /** Queued mutations, oldest first */
+  pending: QueuedMutation[];
+  /** Whether queued mutations are being sent right now */
+  replaying: boolean;
+}
+
+export type OfflineQueueListener = (state: OfflineQueueState) => void;
+
+export type MutationFailureListener = (mutation: QueuedMutation, error: Error) => void;
+
+/**
+ * What the queue needs from the client
+ */
+export interface OfflineQueueTransport {
+  send(mutation: QueuedMutation): Promise<unknown>;
+  getUserDid(): Promise<string | null>;
+  /** Run `fn` while holding a lock shared by all tabs */
+  withLock<T>(fn: () => Promise<T>): Promise<T>;
+  /** Receives errors from listeners and from replays no caller is waiting for */
+  reportError(error: unknown): void;
+}
+
+type QueueMessage =
+  | { type: 'changed' }
+  | { type: 'sent'; id: number; data: unknown }
+  | { type: 'failed'; mutation: QueuedMutation; error: { name: string; message: string } };
+
+interface MutationStore {
+  getAll(): Promise<QueuedMutation[]>;
+  add(mutation: Omit<QueuedMutation, 'id'>): Promise<QueuedMutation>;
+  remove(id: number): Promise<void>;
+}
+
+/**
+ * The namespace's IndexedDB database where available, memory otherwise
+ */
+function createMutationStore(namespace: string): MutationStore {
+  if (typeof indexedDB !== 'undefined') {
+    return {
+      getAll: () =>
+        withObjectStore(namespace, MUTATION_STORE, 'readonly', (store) => store.getAll()),
+      async add(mutation) {
+        const id = await withObjectStore(namespace, MUTATION_STORE, 'readwrite', (store) =>
+          store.add(mutation)
+        );
+        return { ...mutation, id: id as number };
+      },
+      async remove(id) {
+        await withObjectStore(namespace, MUTATION_STORE, 'readwrite', (store) => store.delete(id));
+      },
+    };
+  }
+
+  const mutations: QueuedMutation[] = [];
+  let nextId = 1;
+  return {
+    getAll: async () => [...mutations],
+    async add(mutation) {
+      const queued = { ...mutation, id: nextId++ };
+      mutations.push(queued);
+      return queued;
+    },
+    async remove(id) {
+      const index = mutations.findIndex((mutation) => mutation.id === id);
+      if (index !== -1) mutations.splice(index, 1);
+    },
+  };
+}
+
+/**
+ * The server couldn't be reached (as opposed to rejecting the mutation)
+ */
+function isOffline(err: unknown): boolean {
+  return err instanceof NetworkError && err.status === undefined && !(err instanceof TimeoutError);
+}
+
+/**
+ * Failures that go away on their own or once the user signs in again;
+ * anything else would fail the same way on every replay
+ */
+function isTransient(err: unknown): boolean {
+  if (err instanceof LoginRequiredError || err instanceof OAuthError) return true;
+  if (!(err instanceof NetworkError)) return false;
+  return err.status === undefined || err.status === 401 || err.status === 429 || err.status >= 500;
+}
+
+/**
+ * Mutations made while offline, persisted per namespace and replayed in
+ * order once the server is reachable and the user who made them is signed
+ * in. Replays are coordinated across tabs so each mutation is sent once.
+ */
+export class OfflineQueue {
+  private transport: OfflineQueueTransport;
+  private retryInterval: number;
+  private store: MutationStore | null = null;
+  private pending: QueuedMutation[] = [];
+  private replaying: Promise<void> | null = null;
+  private retryTimer: ReturnType<typeof setTimeout> | null = null;
+  private channel: BroadcastChannel | null = null;
+  private waiters = new Map<number, { resolve: (data: any) => void; reject: (err: Error) => void }>();
+  private listeners = new Set<OfflineQueueListener>();
+  private failureListeners = new Set<MutationFailureListener>();
+  private started: Promise<void>;
+  private markStarted!: () => void;
+
+  constructor(transport: OfflineQueueTransport, options: OfflineQueueOptions = {}) {
+    this.transport = transport;
+    this.retryInterval = options.retryInterval ?? DEFAULT_RETRY_INTERVAL_MS;
+    this.started = new Promise((resolve) => {
+      this.markStarted = resolve;
+    });
+  }
+
+  /**
+   * Load mutations left over from earlier sessions and start listening for
+   * connectivity and other tabs. Called by the client's init().
+   */
+  async start(namespace: string): Promise<void> {
+    if (this.store) return;
+
+    const store = createMutationStore(namespace);
+    this.pending = await store.getAll();
+    this.store = store;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(`quickslice-queue-${namespace}`);
+      this.channel.onmessage = (event) => {
+        this.handleMessage(event.data).catch((err) => this.transport.reportError(err));
+      };
+      // Don't keep Node processes alive; there are no other tabs there
+      (this.channel as { unref?: () => void }).unref?.();
+    }
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', () => this.replay());
+    }
+
+    this.markStarted();
+    if (this.pending.length > 0) {
+      this.scheduleReplay(0);
+    }
+  }
+
+  /**
+   * Current queue contents and whether a replay is running
+   */
+  getState(): OfflineQueueState {
+    return { pending: [...this.pending], replaying: this.replaying !== null };
+  }
+
+  /**
+   * Listen for changes to the queue. Returns a function that removes the listener.
+   */
+  onChange(listener: OfflineQueueListener): () => void {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Listen for queued mutations the server rejected. They are removed from
+   * the queue. Returns a function that removes the listener.
+   */
+  onFailure(listener: MutationFailureListener): () => void {
+    this.failureListeners.add(listener);
+    return () => {
+      this.failureListeners.delete(listener);
+    };
+  }
+
+  /**
+   * Send a mutation now, or queue it if the server can't be reached or
+   * earlier mutations are still queued. Resolves once it has been sent.
+   * Mutations made while signed out are never queued, since no one could
+   * replay them.
+   */
+  async run<T>(
+    query: string,
+    variables: Record<string, unknown>,
+    sendNow: () => Promise<T>
+  ): Promise<T> {
+    await this.started;
+    const did = await this.transport.getUserDid();
+    if (!did) {
+      return sendNow();
+    }
+
+    // Queue behind the user's earlier mutations to keep them in order
+    const queuedBehind = this.pending.some((mutation) => mutation.did === did);
+    const online = typeof navigator === 'undefined' || navigator.onLine !== false;
+    if (online && !queuedBehind) {
+      try {
+        return await sendNow();
+      } catch (err) {
+        if (!isOffline(err)) throw err;
+      }
+    }
+
+    const mutation = await this.getStore().add({ query, variables, did, createdAt: Date.now() });
+    const result = new Promise<T>((resolve, reject) => {
+      this.waiters.set(mutation.id, { resolve, reject });
+    });
+
+    this.pending.push(mutation);
+    this.changed();
+    this.scheduleReplay(online && queuedBehind ? 0 : this.retryInterval);
+    return result;
+  }
+
+  /**
+   * Send queued mutations now (normally triggered by reconnecting or
+   * signing in). Stops at the first one that can't be sent yet.
+   */
+  replay(): Promise<void> {
+    if (!this.replaying) {
+      this.replaying = this.started
+        .then(() => this.transport.withLock(() => this.replayPending()))
+        .catch((err) => this.transport.reportError(err))
+        .finally(() => {
+          this.replaying = null;
+          this.notify();
+        });
+      this.notify();
+    }
+    return this.replaying;
+  }
+
+  /**
+   * Drop a queued mutation without sending it
+   */
+  async discard(id: number): Promise<void> {
+    await this.started;
+    await this.getStore().remove(id);
+    this.pending = this.pending.filter((mutation) => mutation.id !== id);
+    this.waiters.get(id)?.reject(new QuicksliceError('Queued mutation was discarded'));
+    this.waiters.delete(id);
+    this.changed();
+  }
+
+  private async replayPending(): Promise<void> {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+
+    // Another tab may have sent some while we waited for the lock
+    this.pending = await this.getStore().getAll();
+    this.notify();
+
+    // Earlier versions queued mutations made while signed out
+    for (const mutation of this.pending.filter((queued) => !queued.did)) {
+      await this.reject(mutation, new LoginRequiredError('Mutation was queued while signed out'));
+    }
+
+    const did = await this.transport.getUserDid();
+    if (!did) return; // Wait for the user to sign in
+
+    for (const mutation of this.pending.filter((queued) => queued.did === did)) {
+      let data: unknown;
+      try {
+        data = await this.transport.send(mutation);
+      } catch (err) {
+        if (isTransient(err)) {
+          // Offline or signed out again - keep it and try later
+          if (!(err instanceof LoginRequiredError || err instanceof OAuthError)) {
+            this.scheduleReplay(this.retryInterval);
+          }
+          return;
+        }
+
+        await this.reject(mutation, err as Error);
+        continue;
+      }
+
+      await this.remove(mutation);
+      this.waiters.get(mutation.id)?.resolve(data);
+      this.waiters.delete(mutation.id);
+      this.broadcast({ type: 'sent', id: mutation.id, data });
+    }
+  }
+
+  /**
+   * Drop a mutation that can't be sent and tell its caller, here or in another tab
+   */
+  private async reject(mutation: QueuedMutation, error: Error): Promise<void> {
+    await this.remove(mutation);
+    this.fail(mutation, error);
+    this.broadcast({
+      type: 'failed',
+      mutation,
+      error: { name: error.name, message: error.message },
+    });
+  }
+
+  private async remove(mutation: QueuedMutation): Promise<void> {
+    await this.getStore().remove(mutation.id);
+    this.pending = this.pending.filter((queued) => queued.id !== mutation.id);
+    this.notify();
+  }
+
+  private fail(mutation: QueuedMutation, error: Error): void {
+    this.waiters.get(mutation.id)?.reject(error);
+    this.waiters.delete(mutation.id);
+    notifyListeners(this.failureListeners, [mutation, error], (err) =>
+      this.transport.reportError(err)
+    );
+  }
+
+  private scheduleReplay(delay: number): void {
+    if (this.retryTimer) clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.replay();
+    }, delay);
+    // Keep a Node process alive only while a caller is waiting on a mutation
+    if (this.waiters.size === 0) {
+      (this.retryTimer as { unref?: () => void }).unref?.();
+    }
+  }
+
+  /**
+   * Another tab changed the queue or settled one of our mutations
+   */
+  private async handleMessage(message: QueueMessage): Promise<void> {
+    if (message.type === 'sent') {
+      this.waiters.get(message.id)?.resolve(message.data);
+      this.waiters.delete(message.id);
+    } else if (message.type === 'failed') {
+      const error = new QuicksliceError(message.error.message);
+      error.name = message.error.name;
+      this.fail(message.mutation, error);
+    }
+
+    this.pending = await this.getStore().getAll();
+    this.notify();
+  }
+
+  private getStore(): MutationStore {
+    if (!this.store) {
+      throw new QuicksliceError('Offline queue not started. Call the client\'s init() first.');
+    }
+    return this.store;
+  }
+
+  /**
+   * Tell listeners here and in other tabs about a change to the queue
+   */
+  private changed(): void {
+    this.notify();
+    this.broadcast({ type: 'changed' });
+  }
+
+  private broadcast(message: QueueMessage): void {
+    this.channel?.postMessage(message);
+  }
+
+  private notify(): void {
+    notifyListeners(this.listeners, [this.getState()], (err) => this.transport.reportError(err));
+  }
+}
@@ -0,0 +1,169 @@
+import { QuicksliceError } from './errors';
+
+export interface PageInfo {
+  hasNextPage: boolean;
+  hasPreviousPage: boolean;
+  startCursor?: string | null;
+  endCursor?: string | null;
+}
+
+export interface Edge<TNode> {
+  node: TNode;
+  cursor?: string;
+}
+
+export interface Connection<TNode> {
+  edges: Edge<TNode>[];
+  pageInfo: PageInfo;
+  totalCount?: number;
+}
+
+export interface ConnectionOptions {
+  /** Dot-separated path to the connection in the result, e.g. "xyzStatusphereStatus" */
+  path: string;
+  /**
+   * forward follows endCursor through the `after` variable,
+   * backward follows startCursor through the `before` variable
+   */
+  direction?: 'forward' | 'backward';
+}
+
+type FetchPage = (variables: Record<string, unknown>) => Promise<unknown>;
+
+function getCursorVariable(options: ConnectionOptions): 'after' | 'before' {
+  return options.direction === 'backward' ? 'before' : 'after';
+}
+
+/**
+ * Cursor of the page after (or before) this one, or null if it's the last
+ */
+function getNextCursor(connection: Connection<unknown>, options: ConnectionOptions): string | null {
+  const { pageInfo } = connection;
+  if (options.direction === 'backward') {
+    return pageInfo.hasPreviousPage ? pageInfo.startCursor || null : null;
+  }
+  return pageInfo.hasNextPage ? pageInfo.endCursor || null : null;
+}
+
+/**
+ * Find the connection at a dot-separated path in a query result
+ */
+export function getConnection<TNode>(data: unknown, path: string): Connection<TNode> {
+  let value: any = data;
+  for (const key of path.split('.')) {
+    value = value?.[key];
+  }
+
+  if (!value || !Array.isArray(value.edges) || !value.pageInfo) {
+    throw new QuicksliceError(`No connection with edges and pageInfo at "${path}"`);
+  }
+  return value;
+}
+
+/**
+ * Return a copy of `data` with the connection at `path` replaced
+ */
+function setConnection<T>(data: T, keys: string[], connection: Connection<unknown>): T {
+  if (keys.length === 0) {
+    return connection as T;
+  }
+
+  const [key, ...rest] = keys;
+  const parent = data as Record<string, unknown>;
+  return { ...parent, [key]: setConnection(parent[key], rest, connection) } as T;
+}
+
+/**
+ * Append the edges of `next` to the connection in `previous` (or prepend
+ * them when paginating backward), keeping the rest of `previous` as is
+ */
+export function mergeConnection<T>(previous: T, next: unknown, options: ConnectionOptions): T {
+  const current = getConnection(previous, options.path);
+  const page = getConnection(next, options.path);
+  const backward = options.direction === 'backward';
+
+  const merged: Connection<unknown> = {
+    ...current,
+    edges: backward ? [...page.edges, ...current.edges] : [...current.edges, ...page.edges],
+    pageInfo: backward
+      ? {
+          ...current.pageInfo,
+          hasPreviousPage: page.pageInfo.hasPreviousPage,
+          startCursor: page.pageInfo.startCursor,
+        }
+      : {
+          ...current.pageInfo,
+          hasNextPage: page.pageInfo.hasNextPage,
+          endCursor: page.pageInfo.endCursor,
+        },
+  };
+  if (page.totalCount !== undefined) {
+    merged.totalCount = page.totalCount;
+  }
+
+  return setConnection(previous, options.path.split('.'), merged);
+}
+
+/**
+ * Fetch the page after the one(s) in `previous` and merge it in.
+ * Returns `previous` unchanged when there are no more pages.
+ */
+export async function fetchMoreEdges<T>(
+  fetchPage: FetchPage,
+  variables: Record<string, unknown>,
+  previous: T,
+  options: ConnectionOptions
+): Promise<T> {
+  const cursor = getNextCursor(getConnection(previous, options.path), options);
+  if (!cursor) {
+    return previous;
+  }
+
+  const next = await fetchPage({ ...variables, [getCursorVariable(options)]: cursor });
+  return mergeConnection(previous, next, options);
+}
+
+/**
+ * Walks a Relay connection page by page, requesting the next page only
+ * when the consumer asks for it. Iterating yields nodes; pages() yields
+ * whole connections.
+ */
+export class Paginator<TNode> implements AsyncIterable<TNode> {
+  private fetchPage: FetchPage;
+  private variables: Record<string, unknown>;
+  private options: ConnectionOptions;
+
+  constructor(
+    fetchPage: FetchPage,
+    variables: Record<string, unknown>,
+    options: ConnectionOptions
+  ) {
+    this.fetchPage = fetchPage;
+    this.variables = variables;
+    this.options = options;
+  }
+
+  async *pages(): AsyncGenerator<Connection<TNode>, void, undefined> {
+    let variables = this.variables;
+
+    while (true) {
+      const connection = getConnection<TNode>(
+        await this.fetchPage(variables),
+        this.options.path
+      );
+      yield connection;
+
+      const cursor = getNextCursor(connection, this.options);
+      if (!cursor) return;
+      variables = { ...this.variables, [getCursorVariable(this.options)]: cursor };
+    }
+  }
+
+  async *[Symbol.asyncIterator](): AsyncGenerator<TNode, void, undefined> {
+    for await (const page of this.pages()) {
+      for (const edge of page.edges) {
+        yield edge.node;
+      }
+    }
+  }
+}
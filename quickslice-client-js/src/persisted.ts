@@ -0,0 +1,37 @@
+import { GraphQLResponse } from './graphql';
+import { sha256Hex } from './utils/crypto';
+
+export interface PersistedQueryExtensions {
+  persistedQuery: {
+    version: 1;
+    sha256Hash: string;
+  };
+}
+
+// Documents are usually module constants, so hash each one only once
+const hashes = new Map<string, Promise<string>>();
+
+/**
+ * The `extensions` that identify a query by its SHA-256 hash
+ */
+export async function getPersistedQueryExtensions(
+  query: string
+): Promise<PersistedQueryExtensions> {
+  let hash = hashes.get(query);
+  if (!hash) {
+    hash = sha256Hex(query);
+    hashes.set(query, hash);
+  }
+  return { persistedQuery: { version: 1, sha256Hash: await hash } };
+}
+
+/**
+ * Whether the server didn't know the hash and wants the full query
+ */
+export function isPersistedQueryNotFound(response: GraphQLResponse): boolean {
+  return (response.errors || []).some(
+    (error) =>
+      error.extensions?.code === 'PERSISTED_QUERY_NOT_FOUND' ||
+      error.message === 'PersistedQueryNotFound'
+  );
+}
@@ -0,0 +1,338 @@
+/**
+ * React entry point
+ *
+ * A provider that creates the client and finishes OAuth logins, plus hooks
+ * for auth state, queries, mutations and subscriptions. Imports the core SDK
+ * from the main entry, so apps share one client module with their own code.
+ */
+import {
+  createContext,
+  createElement,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+  useSyncExternalStore,
+  ReactNode,
+} from 'react';
+import {
+  QuicksliceClient,
+  QuicksliceClientOptions,
+  MutateOptions,
+  ConnectionOptions,
+  QueryState,
+  WatchQueryOptions,
+  TypedDocument,
+  User,
+  LoginOptions,
+  PopupLoginOptions,
+  LogoutOptions,
+  QuicksliceError,
+} from 'quickslice-client-js';
+
+interface QuicksliceContextValue {
+  client: QuicksliceClient;
+}
+
+const QuicksliceContext = createContext<QuicksliceContextValue | null>(null);
+
+export interface QuicksliceProviderProps {
+  /** An existing client; otherwise one is created from `options` */
+  client?: QuicksliceClient;
+  /** Options for the client the provider creates */
+  options?: QuicksliceClientOptions;
+  /** Finish a redirect or popup login when the page is an OAuth callback (default true) */
+  handleCallback?: boolean;
+  /** Called when initializing the client or handling the callback fails */
+  onError?: (error: Error) => void;
+  /** Rendered until the client is ready (default nothing) */
+  fallback?: ReactNode;
+  children?: ReactNode;
+}
+
+/**
+ * Create and initialize the client, handle the OAuth callback and make
+ * the client available to the hooks below
+ */
+export function QuicksliceProvider(props: QuicksliceProviderProps) {
+  const { handleCallback = true, fallback = null, children } = props;
+
+  // Created once; later changes to `options` are ignored
+  const [client] = useState(() => {
+    if (props.client) return props.client;
+    if (!props.options) {
+      throw new QuicksliceError('QuicksliceProvider needs a client or options');
+    }
+    return new QuicksliceClient(props.options);
+  });
+  const [ready, setReady] = useState(false);
+  const onError = useRef(props.onError);
+  onError.current = props.onError;
+
+  useEffect(() => {
+    let active = true;
+
+    (async () => {
+      try {
+        await client.init();
+        if (handleCallback && typeof window !== 'undefined') {
+          await client.handleRedirectCallback();
+        }
+      } catch (err) {
+        // Without a handler, the hooks' queries report the same failure
+        onError.current?.(err as Error);
+      }
+      if (active) setReady(true);
+    })();
+
+    return () => {
+      active = false;
+    };
+  }, [client, handleCallback]);
+
+  return createElement(
+    QuicksliceContext.Provider,
+    { value: { client } },
+    ready ? children : fallback
+  );
+}
+
+/**
+ * The client from the nearest QuicksliceProvider
+ */
+export function useQuicksliceClient(): QuicksliceClient {
+  const context = useContext(QuicksliceContext);
+  if (!context) {
+    throw new QuicksliceError('useQuicksliceClient must be used inside a QuicksliceProvider');
+  }
+  return context.client;
+}
+
+export interface AuthState {
+  user: User | null;
+  isAuthenticated: boolean;
+  /** True until the session has been checked */
+  loading: boolean;
+  /** Why checking the session failed, if it did */
+  error: Error | undefined;
+  loginWithRedirect(options?: LoginOptions): Promise<void>;
+  loginWithPopup(options?: PopupLoginOptions): Promise<User>;
+  logout(options?: LogoutOptions): Promise<void>;
+}
+
+/**
+ * The signed-in user. Re-renders when it changes (login, logout, expired
+ * sessions), including in other tabs, but not on token refreshes.
+ */
+export function useAuth(): AuthState {
+  const client = useQuicksliceClient();
+  const [user, setUser] = useState<User | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<Error | undefined>();
+
+  useEffect(() => {
+    let active = true;
+    const refresh = () => {
+      client.getUser().then(
+        (current) => {
+          if (!active) return;
+          setUser((previous) => (previous?.did === current?.did ? previous : current));
+          setError(undefined);
+          setLoading(false);
+        },
+        (err) => {
+          if (!active) return;
+          setError(err as Error);
+          setLoading(false);
+        }
+      );
+    };
+
+    refresh();
+    const unsubscribe = client.onAuthStateChange(refresh);
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [client]);
+
+  return {
+    user,
+    isAuthenticated: user !== null,
+    loading,
+    error,
+    loginWithRedirect: useCallback((options) => client.loginWithRedirect(options), [client]),
+    loginWithPopup: useCallback((options) => client.loginWithPopup(options), [client]),
+    logout: useCallback((options) => client.logout(options), [client]),
+  };
+}
+
+export interface UseQueryOptions extends WatchQueryOptions {
+  /** Don't run the query, e.g. until its variables are known */
+  skip?: boolean;
+}
+
+export interface UseQueryResult<T> extends QueryState<T> {
+  /** Fetch the query again from the server */
+  refetch(): Promise<void>;
+  /** Fetch the next page of a connection in the result and merge it in */
+  fetchMore(options: ConnectionOptions): Promise<void>;
+}
+
+const SKIPPED: QueryState<never> = { data: undefined, error: undefined, loading: false };
+
+/**
+ * Run a query and keep its result up to date, through client.watchQuery().
+ * Refetches when the variables change and after login or logout. With the
+ * client's cache enabled, it also follows cache updates, including
+ * optimistic mutation results.
+ */
+export function useQuery<T = unknown, V extends Record<string, unknown> = Record<string, unknown>>(
+  query: TypedDocument<T, V> | string,
+  variables: V = {} as V,
+  options: UseQueryOptions = {}
+): UseQueryResult<T> {
+  const client = useQuicksliceClient();
+  const { skip = false, ...watchOptions } = options;
+
+  // One observable per query; new variables are passed to it so the
+  // current data stays on screen while they load
+  const isPublic = !!watchOptions.public;
+  const observable = useMemo(
+    () => client.watchQuery<T, V>(query, variables, watchOptions),
+    [client, query, isPublic]
+  );
+  const variablesKey = JSON.stringify(variables);
+
+  useEffect(() => {
+    if (JSON.stringify(observable.getVariables()) !== variablesKey) {
+      observable.setVariables(JSON.parse(variablesKey));
+    }
+  }, [observable, variablesKey]);
+
+  const subscribe = useCallback(
+    (onChange: () => void) => (skip ? () => {} : observable.subscribe(onChange)),
+    [observable, skip]
+  );
+  const state = useSyncExternalStore(
+    subscribe,
+    () => (skip ? SKIPPED : observable.getState()),
+    () => SKIPPED
+  );
+
+  const refetch = useCallback(() => observable.refetch(), [observable]);
+  const fetchMore = useCallback(
+    (connection: ConnectionOptions) => observable.fetchMore(connection),
+    [observable]
+  );
+
+  return { ...state, refetch, fetchMore };
+}
+
+export interface MutationState<T> {
+  data: T | undefined;
+  error: Error | undefined;
+  loading: boolean;
+  /** Forget the last result and error */
+  reset(): void;
+}
+
+/**
+ * Returns a function that runs the mutation and the state of its last call.
+ * Options given to the function are merged over those given to the hook.
+ */
+export function useMutation<T = unknown, V extends Record<string, unknown> = Record<string, unknown>>(
+  mutation: TypedDocument<T, V> | string,
+  options: MutateOptions<T> = {}
+): [(variables?: V, callOptions?: MutateOptions<T>) => Promise<T>, MutationState<T>] {
+  const client = useQuicksliceClient();
+  const [state, setState] = useState<{ data?: T; error?: Error; loading: boolean }>({
+    loading: false,
+  });
+  const hookOptions = useRef(options);
+  hookOptions.current = options;
+  const mounted = useRef(true);
+
+  useEffect(() => {
+    mounted.current = true;
+    return () => {
+      mounted.current = false;
+    };
+  }, []);
+
+  const mutate = useCallback(
+    async (variables: V = {} as V, callOptions: MutateOptions<T> = {}): Promise<T> => {
+      setState((previous) => ({ ...previous, loading: true }));
+      try {
+        const data = await client.mutate<T, V>(mutation, variables, {
+          ...hookOptions.current,
+          ...callOptions,
+        });
+        if (mounted.current) setState({ data, loading: false });
+        return data;
+      } catch (err) {
+        if (mounted.current) setState({ error: err as Error, loading: false });
+        throw err;
+      }
+    },
+    [client, mutation]
+  );
+
+  const reset = useCallback(() => setState({ loading: false }), []);
+
+  return [mutate, { data: state.data, error: state.error, loading: state.loading, reset }];
+}
+
+export interface UseSubscriptionOptions<T> {
+  /** Don't subscribe, e.g. until the variables are known */
+  skip?: boolean;
+  /** Called for every event, e.g. to append it to a list */
+  onData?: (data: T) => void;
+}
+
+export interface SubscriptionState<T> {
+  /** The latest event */
+  data: T | undefined;
+  error: unknown;
+  /** True until the first event arrives */
+  loading: boolean;
+}
+
+/**
+ * Subscribe while the component is mounted. Resubscribes when the
+ * variables change.
+ */
+export function useSubscription<T = unknown, V extends Record<string, unknown> = Record<string, unknown>>(
+  query: TypedDocument<T, V> | string,
+  variables: V = {} as V,
+  options: UseSubscriptionOptions<T> = {}
+): SubscriptionState<T> {
+  const client = useQuicksliceClient();
+  const [state, setState] = useState<SubscriptionState<T>>({
+    data: undefined,
+    error: undefined,
+    loading: !options.skip,
+  });
+
+  const variablesKey = JSON.stringify(variables);
+  const skip = !!options.skip;
+  const latest = useRef({ variables, options });
+  latest.current = { variables, options };
+
+  useEffect(() => {
+    if (skip) return;
+
+    setState({ data: undefined, error: undefined, loading: true });
+    return client.subscribe<T>(query, latest.current.variables, {
+      next: (data) => {
+        setState({ data, error: undefined, loading: false });
+        latest.current.options.onData?.(data);
+      },
+      error: (error) => setState((previous) => ({ ...previous, error, loading: false })),
+    });
+  }, [client, query, variablesKey, skip]);
+
+  return state;
+}
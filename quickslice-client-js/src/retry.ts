@@ -0,0 +1,137 @@
+import { AbortError, NetworkError, OAuthError, TimeoutError } from './errors';
+
+const DEFAULT_RETRIES = 2;
+const DEFAULT_BASE_DELAY_MS = 300;
+const DEFAULT_MAX_DELAY_MS = 10000;
+
+export interface RetryOptions {
+  /** Attempts after the first one (default 2) */
+  retries?: number;
+  /** Delay before the first retry in ms, doubled for each retry (default 300) */
+  baseDelay?: number;
+  /** Upper bound for the backoff delay in ms (default 10000) */
+  maxDelay?: number;
+}
+
+export interface RequestOptions {
+  /** Cancels the call */
+  signal?: AbortSignal;
+  /** Fail with TimeoutError if the call (including retries) takes longer, in ms */
+  timeout?: number;
+}
+
+/**
+ * Network failures, 5xx and 429 are worth retrying, including a token
+ * refresh the authorization server answered that way; anything else would
+ * fail the same way again
+ */
+function isRetryable(err: unknown): boolean {
+  if (err instanceof OAuthError) {
+    return err.status !== undefined && (err.status === 429 || err.status >= 500);
+  }
+  if (!(err instanceof NetworkError) || err instanceof TimeoutError) return false;
+  return err.status === undefined || err.status === 429 || err.status >= 500;
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(header: string | null): number | undefined {
+  if (!header) return undefined;
+
+  const seconds = Number(header);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(header);
+  return isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new AbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Run `fn`, retrying retryable failures with exponential backoff and jitter.
+ * A Retry-After from the server takes precedence over the backoff, up to
+ * `maxDelay`.
+ */
+export async function withRetry<T>(
+  fn: () => Promise<T>,
+  options: RetryOptions | false,
+  signal?: AbortSignal
+): Promise<T> {
+  const retries = options === false ? 0 : options.retries ?? DEFAULT_RETRIES;
+  const baseDelay = (options && options.baseDelay) || DEFAULT_BASE_DELAY_MS;
+  const maxDelay = (options && options.maxDelay) || DEFAULT_MAX_DELAY_MS;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= retries || !isRetryable(err) || signal?.aborted) {
+        throw err;
+      }
+
+      const backoff = Math.min(maxDelay, baseDelay * 2 ** attempt);
+      const retryAfter = (err as NetworkError).retryAfter;
+      const delay =
+        retryAfter !== undefined
+          ? Math.min(retryAfter, maxDelay)
+          : backoff / 2 + Math.random() * (backoff / 2);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+/**
+ * Run `fn` with a signal that fires when the caller aborts or the timeout
+ * passes. Rejects with AbortError or TimeoutError as soon as that happens,
+ * even if `fn` is still waiting on something that can't be cancelled.
+ */
+export async function withSignal<T>(
+  options: RequestOptions,
+  fn: (signal: AbortSignal) => Promise<T>
+): Promise<T> {
+  const controller = new AbortController();
+  let timedOut = false;
+
+  const onAbort = () => controller.abort();
+  if (options.signal?.aborted) {
+    throw new AbortError();
+  }
+  options.signal?.addEventListener('abort', onAbort, { once: true });
+
+  const timer = options.timeout
+    ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, options.timeout)
+    : null;
+
+  const aborted = new Promise<never>((_, reject) => {
+    controller.signal.addEventListener('abort', () => {
+      reject(
+        timedOut
+          ? new TimeoutError(`Request timed out after ${options.timeout}ms`)
+          : new AbortError()
+      );
+    });
+  });
+
+  try {
+    return await Promise.race([fn(controller.signal), aborted]);
+  } finally {
+    if (timer) clearTimeout(timer);
+    options.signal?.removeEventListener('abort', onAbort);
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * Key/value backend for tokens and OAuth session state.
+ * Methods may be sync or async; `localStorage` and `sessionStorage`
+ * satisfy this interface as-is.
+ */
+export interface StorageAdapter {
+  getItem(key: string): string | null | Promise<string | null>;
+  setItem(key: string, value: string): void | Promise<void>;
+  removeItem(key: string): void | Promise<void>;
+}
+
+const IDB_STORE = 'kv';
+
+/**
+ * In-memory storage - nothing survives a reload.
+ * Useful for tests and privacy modes. Redirect login loses its PKCE state
+ * with the page, so pair it with loginWithPopup().
+ */
+export function createMemoryStorageAdapter(): StorageAdapter {
+  const items = new Map<string, string>();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => {
+      items.set(key, value);
+    },
+    removeItem: (key) => {
+      items.delete(key);
+    },
+  };
+}
+
+/**
+ * localStorage - tokens shared across tabs and browser restarts
+ */
+export function createLocalStorageAdapter(): StorageAdapter {
+  return {
+    getItem: (key) => localStorage.getItem(key),
+    setItem: (key, value) => localStorage.setItem(key, value),
+    removeItem: (key) => localStorage.removeItem(key),
+  };
+}
+
+/**
+ * sessionStorage - tokens scoped to one tab and cleared when it closes
+ */
+export function createSessionStorageAdapter(): StorageAdapter {
+  return {
+    getItem: (key) => sessionStorage.getItem(key),
+    setItem: (key, value) => sessionStorage.setItem(key, value),
+    removeItem: (key) => sessionStorage.removeItem(key),
+  };
+}
+
+function idbRequest<T>(request: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+  });
+}
+
+/**
+ * IndexedDB - async, persistent storage that works where localStorage
+ * is unavailable or partitioned (e.g. some embedded webviews)
+ */
+export function createIndexedDBStorageAdapter(
+  dbName = 'quickslice-storage'
+): StorageAdapter {
+  let dbPromise: Promise<IDBDatabase> | null = null;
+
+  const openDatabase = (): Promise<IDBDatabase> => {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName, 1);
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(IDB_STORE)) {
+          db.createObjectStore(IDB_STORE);
+        }
+      };
+    });
+
+    return dbPromise;
+  };
+
+  const withStore = async <T>(
+    mode: IDBTransactionMode,
+    fn: (store: IDBObjectStore) => IDBRequest<T>
+  ): Promise<T> => {
+    const db = await openDatabase();
+    const store = db.transaction(IDB_STORE, mode).objectStore(IDB_STORE);
+    return idbRequest(fn(store));
+  };
+
+  return {
+    async getItem(key) {
+      const value = await withStore('readonly', (store) => store.get(key));
+      return typeof value === 'string' ? value : null;
+    },
+    async setItem(key, value) {
+      await withStore('readwrite', (store) => store.put(value, key));
+    },
+    async removeItem(key) {
+      await withStore('readwrite', (store) => store.delete(key));
+    },
+  };
+}
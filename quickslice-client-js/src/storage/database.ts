@@ -0,0 +1,104 @@
+import { QuicksliceError } from '../errors';
+
+const DB_VERSION = 3;
+
+/** Object store for DPoP signing keys (keyPath `id`) */
+export const DPOP_KEY_STORE = 'dpop-keys';
+
+/** Object store for the offline mutation queue (auto-incremented `id`) */
+export const MUTATION_STORE = 'mutations';
+
+/** Object store for sessions of accounts that aren't the current one (keyPath `did`) */
+export const ACCOUNT_STORE = 'accounts';
+
+// Cache database connections per namespace
+const dbPromises = new Map<string, Promise<IDBDatabase>>();
+
+function getDbName(namespace: string): string {
+  return `quickslice-oauth-${namespace}`;
+}
+
+/**
+ * Open the IndexedDB database for a namespace, creating or upgrading
+ * its object stores. Rejects if another tab holds an older version open
+ * and blocks the upgrade; the next call tries again.
+ */
+export function openNamespaceDatabase(namespace: string): Promise<IDBDatabase> {
+  const existing = dbPromises.get(namespace);
+  if (existing) return existing;
+
+  const promise = new Promise<IDBDatabase>((resolve, reject) => {
+    const request = indexedDB.open(getDbName(namespace), DB_VERSION);
+    let blocked = false;
+    const forget = () => {
+      if (dbPromises.get(namespace) === promise) dbPromises.delete(namespace);
+    };
+
+    request.onerror = () => {
+      forget();
+      reject(request.error);
+    };
+
+    request.onblocked = () => {
+      blocked = true;
+      forget();
+      reject(
+        new QuicksliceError(
+          'Database upgrade is blocked by another tab running an older version; close it and retry'
+        )
+      );
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // The other tab closed after we gave up; a retry opens a new connection
+      if (blocked) {
+        db.close();
+        return;
+      }
+
+      // Let newer versions in other tabs upgrade instead of blocking them
+      db.onversionchange = () => {
+        db.close();
+        forget();
+      };
+      db.onclose = forget;
+      resolve(db);
+    };
+
+    request.onupgradeneeded = (event) => {
+      const db = (event.target as IDBOpenDBRequest).result;
+      if (!db.objectStoreNames.contains(DPOP_KEY_STORE)) {
+        db.createObjectStore(DPOP_KEY_STORE, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(MUTATION_STORE)) {
+        db.createObjectStore(MUTATION_STORE, { keyPath: 'id', autoIncrement: true });
+      }
+      if (!db.objectStoreNames.contains(ACCOUNT_STORE)) {
+        db.createObjectStore(ACCOUNT_STORE, { keyPath: 'did' });
+      }
+    };
+  });
+
+  dbPromises.set(namespace, promise);
+  return promise;
+}
+
+/**
+ * Run a single request against an object store and resolve with its result
+ */
+export async function withObjectStore<T>(
+  namespace: string,
+  storeName: string,
+  mode: IDBTransactionMode,
+  fn: (store: IDBObjectStore) => IDBRequest<T>
+): Promise<T> {
+  const db = await openNamespaceDatabase(namespace);
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = fn(tx.objectStore(storeName));
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+  });
+}
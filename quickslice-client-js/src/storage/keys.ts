@@ -10,6 +10,8 @@ export interface StorageKeys {
   codeVerifier: string;
   oauthState: string;
   redirectUri: string;
+  /** OAuth state of a login started by addAccount() */
+  addAccountState: string;
 }
 
 export function createStorageKeys(namespace: string): StorageKeys {
@@ -22,6 +24,7 @@ export function createStorageKeys(namespace: string): StorageKeys {
     codeVerifier: `quickslice_${namespace}_code_verifier`,
     oauthState: `quickslice_${namespace}_oauth_state`,
     redirectUri: `quickslice_${namespace}_redirect_uri`,
+    addAccountState: `quickslice_${namespace}_add_account_state`,
   };
 }
 
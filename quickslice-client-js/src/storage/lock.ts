@@ -1,3 +1,6 @@
+import { StorageAdapter } from './adapters';
+import { QuicksliceError } from '../errors';
+
 const LOCK_TIMEOUT = 5000; // 5 seconds
 
 function sleep(ms: number): Promise<void> {
@@ -9,9 +12,11 @@ function getLockKey(namespace: string, key: string): string {
 }
 
 /**
- * Acquire a lock using localStorage for multi-tab coordination
+ * Acquire a lock using shared storage (localStorage by default)
+ * for multi-tab coordination
  */
 export async function acquireLock(
+  adapter: StorageAdapter,
   namespace: string,
   key: string,
   timeout = LOCK_TIMEOUT
@@ -21,14 +26,14 @@ export async function acquireLock(
   const deadline = Date.now() + timeout;
 
   while (Date.now() < deadline) {
-    const existing = localStorage.getItem(lockKey);
+    const existing = await adapter.getItem(lockKey);
 
     if (existing) {
       // Check if lock is stale (older than timeout)
       const [timestamp] = existing.split('_');
       if (Date.now() - parseInt(timestamp) > LOCK_TIMEOUT) {
         // Lock is stale, remove it
-        localStorage.removeItem(lockKey);
+        await adapter.removeItem(lockKey);
       } else {
         // Lock is held, wait and retry
         await sleep(50);
@@ -37,11 +42,11 @@ export async function acquireLock(
     }
 
     // Try to acquire
-    localStorage.setItem(lockKey, lockValue);
+    await adapter.setItem(lockKey, lockValue);
 
     // Verify we got it (handle race condition)
     await sleep(10);
-    if (localStorage.getItem(lockKey) === lockValue) {
+    if ((await adapter.getItem(lockKey)) === lockValue) {
       return lockValue; // Lock acquired
     }
   }
@@ -52,10 +57,47 @@ export async function acquireLock(
 /**
  * Release a lock
  */
-export function releaseLock(namespace: string, key: string, lockValue: string): void {
+export async function releaseLock(
+  adapter: StorageAdapter,
+  namespace: string,
+  key: string,
+  lockValue: string
+): Promise<void> {
   const lockKey = getLockKey(namespace, key);
   // Only release if we still hold it
-  if (localStorage.getItem(lockKey) === lockValue) {
-    localStorage.removeItem(lockKey);
+  if ((await adapter.getItem(lockKey)) === lockValue) {
+    await adapter.removeItem(lockKey);
+  }
+}
+
+function hasWebLocks(): boolean {
+  return typeof navigator !== 'undefined' && !!navigator.locks;
+}
+
+/**
+ * Run `fn` while holding an exclusive lock shared by all tabs.
+ * Uses the Web Locks API when available: waiters queue up and the lock is
+ * released automatically if the holding tab closes. Otherwise falls back to
+ * the storage lock above.
+ */
+export async function withLock<T>(
+  adapter: StorageAdapter,
+  namespace: string,
+  key: string,
+  fn: () => Promise<T>
+): Promise<T> {
+  if (hasWebLocks()) {
+    return navigator.locks.request(getLockKey(namespace, key), () => fn());
+  }
+
+  const lockValue = await acquireLock(adapter, namespace, key);
+  if (!lockValue) {
+    throw new QuicksliceError(`Timed out waiting for lock: ${key}`);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await releaseLock(adapter, namespace, key, lockValue);
   }
 }
@@ -1,41 +1,69 @@
 import { StorageKeys } from './keys';
+import {
+  StorageAdapter,
+  createLocalStorageAdapter,
+  createMemoryStorageAdapter,
+  createSessionStorageAdapter,
+} from './adapters';
+
+export interface StorageAdapters {
+  // Tokens and user identity
+  persistent: StorageAdapter;
+  // Per-login OAuth flow state (PKCE verifier, CSRF state)
+  session: StorageAdapter;
+}
+
+/**
+ * Default backends: tokens in localStorage (shared across tabs),
+ * OAuth flow state in sessionStorage (per-tab).
+ * Outside the browser (Node, Deno, SSR) everything stays in memory.
+ */
+export function createDefaultStorageAdapters(): StorageAdapters {
+  if (typeof localStorage === 'undefined' || typeof sessionStorage === 'undefined') {
+    const memory = createMemoryStorageAdapter();
+    return { persistent: memory, session: memory };
+  }
+
+  return {
+    persistent: createLocalStorageAdapter(),
+    session: createSessionStorageAdapter(),
+  };
+}
 
 /**
  * Create a namespaced storage interface
  */
-export function createStorage(keys: StorageKeys) {
+export function createStorage(
+  keys: StorageKeys,
+  adapters: StorageAdapters = createDefaultStorageAdapters()
+) {
+  const adapterFor = (key: keyof StorageKeys): StorageAdapter =>
+    key === 'codeVerifier' || key === 'oauthState' || key === 'addAccountState'
+      ? adapters.session
+      : adapters.persistent;
+
   return {
-    get(key: keyof StorageKeys): string | null {
-      const storageKey = keys[key];
-      // OAuth flow state stays in sessionStorage (per-tab)
-      if (key === 'codeVerifier' || key === 'oauthState') {
-        return sessionStorage.getItem(storageKey);
-      }
-      // Tokens go in localStorage (shared across tabs)
-      return localStorage.getItem(storageKey);
+    // Backend used for tokens; also hosts the multi-tab refresh lock
+    persistent: adapters.persistent,
+
+    async get(key: keyof StorageKeys): Promise<string | null> {
+      return await adapterFor(key).getItem(keys[key]);
     },
 
-    set(key: keyof StorageKeys, value: string): void {
-      const storageKey = keys[key];
-      if (key === 'codeVerifier' || key === 'oauthState') {
-        sessionStorage.setItem(storageKey, value);
-      } else {
-        localStorage.setItem(storageKey, value);
-      }
+    async set(key: keyof StorageKeys, value: string): Promise<void> {
+      await adapterFor(key).setItem(keys[key], value);
     },
 
-    remove(key: keyof StorageKeys): void {
+    async remove(key: keyof StorageKeys): Promise<void> {
       const storageKey = keys[key];
-      sessionStorage.removeItem(storageKey);
-      localStorage.removeItem(storageKey);
+      await adapters.session.removeItem(storageKey);
+      await adapters.persistent.removeItem(storageKey);
     },
 
-    clear(): void {
-      (Object.keys(keys) as Array<keyof StorageKeys>).forEach((key) => {
-        const storageKey = keys[key];
-        sessionStorage.removeItem(storageKey);
-        localStorage.removeItem(storageKey);
-      });
+    async clear(): Promise<void> {
+      for (const key of Object.keys(keys) as Array<keyof StorageKeys>) {
+        await this.remove(key);
+      }
     },
   };
 }
@@ -0,0 +1,314 @@
+import { GraphQLResponseError, QuicksliceError } from './errors';
+import { ErrorHandler, dispatchError } from './utils/listeners';
+
+const INITIAL_RECONNECT_DELAY_MS = 1000;
+const MAX_RECONNECT_DELAY_MS = 30000;
+// WebSocket.OPEN, without relying on a global WebSocket
+const SOCKET_OPEN = 1;
+
+// graphql-ws close codes that reconnecting won't fix: bad request,
+// unauthorized, forbidden and subprotocol not acceptable
+const TERMINAL_CLOSE_CODES = [4400, 4401, 4403, 4406];
+
+/**
+ * A WebSocket constructor, e.g. the global one or `WebSocket` from the `ws` package
+ */
+export type WebSocketConstructor = new (url: string) => WebSocket;
+
+export interface SubscriptionHandlers<T = unknown> {
+  next: (data: T) => void;
+  error?: (error: unknown) => void;
+  complete?: () => void;
+}
+
+interface ActiveSubscription {
+  query: string;
+  variables: Record<string, unknown>;
+  handlers: SubscriptionHandlers<any>;
+}
+
+interface GraphQLWSMessage {
+  id?: string;
+  type: string;
+  payload?: any;
+}
+
+/**
+ * Multiplexes GraphQL subscriptions over a single graphql-ws WebSocket.
+ * Connects lazily on the first subscription, reconnects with exponential
+ * backoff and resubscribes everything once the connection is acknowledged.
+ * If the server rejects the connection (e.g. 4401 Unauthorized), every
+ * subscription ends with an error instead. Errors thrown by handlers go to
+ * dispatchError() rather than breaking the connection.
+ */
+export class SubscriptionManager {
+  private wsUrl: string;
+  private getConnectionParams: () => Promise<Record<string, string>>;
+  private WebSocketImpl?: WebSocketConstructor;
+  private onError?: ErrorHandler;
+  private socket: WebSocket | null = null;
+  private connecting = false;
+  // Bumped by reconnect() so a connect() already fetching credentials starts over
+  private generation = 0;
+  private acknowledged = false;
+  private subscriptions = new Map<string, ActiveSubscription>();
+  private nextId = 1;
+  private reconnectAttempts = 0;
+  private reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+
+  constructor(
+    wsUrl: string,
+    getConnectionParams: () => Promise<Record<string, string>>,
+    WebSocketImpl?: WebSocketConstructor,
+    onError?: ErrorHandler
+  ) {
+    this.wsUrl = wsUrl;
+    this.getConnectionParams = getConnectionParams;
+    this.WebSocketImpl = WebSocketImpl;
+    this.onError = onError;
+  }
+
+  /**
+   * Start a subscription. Returns a function that ends it.
+   */
+  subscribe<T = unknown>(
+    query: string,
+    variables: Record<string, unknown>,
+    handlers: SubscriptionHandlers<T>
+  ): () => void {
+    const id = String(this.nextId++);
+    this.subscriptions.set(id, { query, variables, handlers });
+
+    if (this.acknowledged) {
+      this.sendSubscribe(id);
+    } else {
+      this.connect();
+    }
+
+    return () => {
+      if (!this.subscriptions.delete(id)) return;
+
+      if (this.acknowledged) {
+        this.send({ id, type: 'complete' });
+      }
+
+      // Drop the socket once nothing is listening
+      if (this.subscriptions.size === 0) {
+        this.close();
+      }
+    };
+  }
+
+  /**
+   * Close the socket and cancel any pending reconnect.
+   * Active subscriptions are kept and resumed by reconnect().
+   */
+  close(): void {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
+    const socket = this.socket;
+    this.socket = null;
+    this.acknowledged = false;
+
+    if (socket) {
+      socket.onclose = null;
+      socket.close(1000, 'Normal Closure');
+    }
+  }
+
+  /**
+   * Drop the current connection and open a new one, e.g. after the
+   * session changed and connection_init needs different credentials
+   */
+  reconnect(): void {
+    this.generation++;
+    this.close();
+    if (this.subscriptions.size > 0) {
+      this.connect();
+    }
+  }
+
+  private async connect(): Promise<void> {
+    if (this.socket || this.connecting) return;
+    this.connecting = true;
+    const generation = this.generation;
+
+    let params: Record<string, string>;
+    try {
+      params = await this.getConnectionParams();
+    } catch {
+      // Fall back to an anonymous connection; public subscriptions still work
+      params = {};
+    } finally {
+      this.connecting = false;
+    }
+
+    // Everything may have unsubscribed while we were fetching a token
+    if (this.socket || this.subscriptions.size === 0) return;
+
+    // The session changed while we were fetching a token for the old one
+    if (generation !== this.generation) {
+      this.connect();
+      return;
+    }
+
+    const WebSocketImpl =
+      this.WebSocketImpl ?? (typeof WebSocket !== 'undefined' ? WebSocket : undefined);
+    if (!WebSocketImpl) {
+      this.fail(
+        new QuicksliceError(
+          'WebSocket is not available in this runtime; pass a WebSocket implementation in the webSocket option'
+        )
+      );
+      return;
+    }
+
+    const socket = new WebSocketImpl(this.wsUrl);
+    this.socket = socket;
+
+    socket.onopen = () => {
+      this.send({ type: 'connection_init', payload: params });
+    };
+
+    socket.onmessage = (event) => {
+      this.handleMessage(event.data);
+    };
+
+    socket.onclose = (event) => {
+      this.socket = null;
+      this.acknowledged = false;
+
+      if (TERMINAL_CLOSE_CODES.includes(event.code)) {
+        this.fail(
+          new QuicksliceError(
+            `Subscription connection closed by the server: ${event.reason || event.code}`
+          )
+        );
+        return;
+      }
+
+      if (this.subscriptions.size > 0) {
+        this.scheduleReconnect();
+      }
+    };
+  }
+
+  /**
+   * End every subscription with an error
+   */
+  private fail(error: Error): void {
+    const subscriptions = [...this.subscriptions.values()];
+    this.subscriptions.clear();
+    this.reconnectAttempts = 0;
+    subscriptions.forEach((subscription) => {
+      this.call(() => subscription.handlers.error?.(error));
+    });
+  }
+
+  /**
+   * Run a subscriber's handler, reporting what it throws
+   */
+  private call(handler: () => void): void {
+    try {
+      handler();
+    } catch (err) {
+      dispatchError(err, this.onError);
+    }
+  }
+
+  private scheduleReconnect(): void {
+    if (this.reconnectTimer) return;
+
+    // Exponential backoff with jitter
+    const backoff = Math.min(
+      MAX_RECONNECT_DELAY_MS,
+      INITIAL_RECONNECT_DELAY_MS * 2 ** this.reconnectAttempts
+    );
+    const delay = backoff / 2 + Math.random() * (backoff / 2);
+    this.reconnectAttempts++;
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+  }
+
+  private handleMessage(raw: string): void {
+    let message: GraphQLWSMessage;
+    try {
+      message = JSON.parse(raw);
+    } catch {
+      return;
+    }
+
+    const subscription = message.id ? this.subscriptions.get(message.id) : undefined;
+
+    switch (message.type) {
+      case 'connection_ack':
+        this.acknowledged = true;
+        this.reconnectAttempts = 0;
+        // (Re)subscribe everything that is active
+        this.subscriptions.forEach((_, id) => this.sendSubscribe(id));
+        break;
+
+      case 'next':
+        if (!subscription) break;
+        if (message.payload?.errors?.length) {
+          const error = new GraphQLResponseError(message.payload.errors, message.payload.data);
+          this.call(() => subscription.handlers.error?.(error));
+        }
+        if (message.payload?.data) {
+          this.call(() => subscription.handlers.next(message.payload.data));
+        }
+        break;
+
+      case 'error':
+        // An error terminates the operation
+        if (!subscription) break;
+        this.subscriptions.delete(message.id!);
+        this.call(() =>
+          subscription.handlers.error?.(
+            new GraphQLResponseError(
+              Array.isArray(message.payload)
+                ? message.payload
+                : [{ message: 'Subscription error' }]
+            )
+          )
+        );
+        break;
+
+      case 'complete':
+        if (!subscription) break;
+        this.subscriptions.delete(message.id!);
+        this.call(() => subscription.handlers.complete?.());
+        break;
+
+      case 'ping':
+        this.send({ type: 'pong' });
+        break;
+    }
+  }
+
+  private sendSubscribe(id: string): void {
+    const subscription = this.subscriptions.get(id);
+    if (!subscription) return;
+
+    this.send({
+      id,
+      type: 'subscribe',
+      payload: {
+        query: subscription.query,
+        variables: subscription.variables,
+      },
+    });
+  }
+
+  private send(message: GraphQLWSMessage): void {
+    if (this.socket && this.socket.readyState === SOCKET_OPEN) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+}
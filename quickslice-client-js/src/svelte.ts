@@ -0,0 +1,150 @@
+/**
+ * Svelte entry point
+ *
+ * Stores for queries, mutations and auth state. They implement the Svelte
+ * store contract directly, so this entry has no dependency on Svelte.
+ * Imports the core SDK from the main entry, so apps share one client module.
+ */
+import {
+  QuicksliceClient,
+  ObservableQuery,
+  MutateOptions,
+  WatchQueryOptions,
+  TypedDocument,
+  User,
+} from 'quickslice-client-js';
+
+/**
+ * Svelte's readable store contract
+ */
+export interface Readable<T> {
+  subscribe(run: (value: T) => void): () => void;
+}
+
+/**
+ * A store that only this module can set. `start` runs while it has
+ * subscribers and returns the function that stops it.
+ */
+function createStore<T>(initial: T, start?: () => () => void) {
+  let value = initial;
+  let stop: (() => void) | null = null;
+  const subscribers = new Set<(value: T) => void>();
+
+  return {
+    get: () => value,
+    set(next: T) {
+      value = next;
+      subscribers.forEach((run) => run(value));
+    },
+    subscribe(run: (value: T) => void): () => void {
+      subscribers.add(run);
+      run(value);
+      if (subscribers.size === 1 && start) stop = start();
+
+      return () => {
+        if (subscribers.delete(run) && subscribers.size === 0) {
+          stop?.();
+          stop = null;
+        }
+      };
+    },
+  };
+}
+
+/**
+ * A store of the query's `{ data, error, loading }` state, with refetch(),
+ * fetchMore() and setVariables(). Same as client.watchQuery().
+ */
+export function queryStore<T = unknown, V extends Record<string, unknown> = Record<string, unknown>>(
+  client: QuicksliceClient,
+  query: TypedDocument<T, V> | string,
+  variables: V = {} as V,
+  options: WatchQueryOptions = {}
+): ObservableQuery<T, V> {
+  return client.watchQuery<T, V>(query, variables, options);
+}
+
+export interface MutationState<T> {
+  data: T | undefined;
+  error: Error | undefined;
+  loading: boolean;
+}
+
+export interface MutationStore<T, V> extends Readable<MutationState<T>> {
+  /** Run the mutation; options are merged over those given to mutationStore() */
+  mutate(variables?: V, options?: MutateOptions<T>): Promise<T>;
+}
+
+/**
+ * A store of the state of a mutation's last call
+ */
+export function mutationStore<T = unknown, V extends Record<string, unknown> = Record<string, unknown>>(
+  client: QuicksliceClient,
+  mutation: TypedDocument<T, V> | string,
+  options: MutateOptions<T> = {}
+): MutationStore<T, V> {
+  const store = createStore<MutationState<T>>({
+    data: undefined,
+    error: undefined,
+    loading: false,
+  });
+
+  return {
+    subscribe: store.subscribe,
+    async mutate(variables = {} as V, callOptions = {}) {
+      store.set({ ...store.get(), error: undefined, loading: true });
+      try {
+        const data = await client.mutate<T, V>(mutation, variables, {
+          ...options,
+          ...callOptions,
+        });
+        store.set({ data, error: undefined, loading: false });
+        return data;
+      } catch (err) {
+        store.set({ ...store.get(), error: err as Error, loading: false });
+        throw err;
+      }
+    },
+  };
+}
+
+export interface AuthStoreState {
+  user: User | null;
+  isAuthenticated: boolean;
+  /** True until the session has been checked */
+  loading: boolean;
+  /** Why checking the session failed, if it did */
+  error: Error | undefined;
+}
+
+/**
+ * A store of the signed-in user, updated on login, logout, token refresh
+ * and expired sessions, including those in other tabs
+ */
+export function authStore(client: QuicksliceClient): Readable<AuthStoreState> {
+  const store = createStore<AuthStoreState>(
+    { user: null, isAuthenticated: false, loading: true, error: undefined },
+    () => {
+      let active = true;
+      const refresh = async () => {
+        try {
+          const user = await client.getUser();
+          if (active) {
+            store.set({ user, isAuthenticated: user !== null, loading: false, error: undefined });
+          }
+        } catch (err) {
+          if (active) store.set({ ...store.get(), loading: false, error: err as Error });
+        }
+      };
+
+      refresh();
+      const unsubscribe = client.onAuthStateChange(refresh);
+      return () => {
+        active = false;
+        unsubscribe();
+      };
+    }
+  );
+
+  return { subscribe: store.subscribe };
+}
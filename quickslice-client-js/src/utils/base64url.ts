@@ -13,6 +13,19 @@ export function base64UrlEncode(buffer: ArrayBuffer | Uint8Array): string {
     .replace(/=+$/, '');
 }
 
+/**
+ * Standard base64 encode, in chunks so large files don't overflow the stack
+ */
+export function base64Encode(buffer: ArrayBuffer | Uint8Array): string {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const chunkSize = 0x8000;
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
 /**
  * Generate a random base64url string
  */
@@ -9,6 +9,17 @@ export async function sha256Base64Url(data: string): Promise<string> {
   return base64UrlEncode(hash);
 }
 
+/**
+ * SHA-256 hash, returned as lowercase hex string
+ */
+export async function sha256Hex(data: string): Promise<string> {
+  const encoder = new TextEncoder();
+  const hash = await crypto.subtle.digest('SHA-256', encoder.encode(data));
+  return Array.from(new Uint8Array(hash))
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
 /**
  * Generate an 8-character namespace hash from clientId
  */
@@ -0,0 +1,35 @@
+export type ErrorHandler = (error: unknown) => void;
+
+/**
+ * Hand an error no caller is waiting for to `onError`. Without a handler it
+ * goes to `reportError` where the platform has one (browsers) and to
+ * `console.error` otherwise, so it is never silent but also never crashes a
+ * Node process the way an uncaught exception would.
+ */
+export function dispatchError(error: unknown, onError?: ErrorHandler): void {
+  if (onError) {
+    onError(error);
+  } else if (typeof reportError === 'function') {
+    reportError(error);
+  } else {
+    console.error(error);
+  }
+}
+
+/**
+ * Call every listener with the same arguments. One that throws doesn't keep
+ * the others from being called; its error goes to dispatchError().
+ */
+export function notifyListeners<A extends unknown[]>(
+  listeners: Iterable<(...args: A) => void>,
+  args: A,
+  onError?: ErrorHandler
+): void {
+  for (const listener of listeners) {
+    try {
+      listener(...args);
+    } catch (err) {
+      dispatchError(err, onError);
+    }
+  }
+}
@@ -0,0 +1,188 @@
+/**
+ * Vue entry point
+ *
+ * Composables over client.watchQuery(), mutate() and auth events. Provide
+ * the client once with `app.use(createQuicksliceVue(client))`. Imports the
+ * core SDK from the main entry, so apps share one client module.
+ */
+import {
+  computed,
+  inject,
+  onScopeDispose,
+  ref,
+  shallowRef,
+  toValue,
+  watch,
+  App,
+  ComputedRef,
+  InjectionKey,
+  MaybeRefOrGetter,
+  Ref,
+  ShallowRef,
+} from 'vue';
+import {
+  QuicksliceClient,
+  MutateOptions,
+  ConnectionOptions,
+  WatchQueryOptions,
+  TypedDocument,
+  User,
+  LoginOptions,
+  PopupLoginOptions,
+  LogoutOptions,
+  QuicksliceError,
+} from 'quickslice-client-js';
+
+export const QuicksliceClientKey: InjectionKey<QuicksliceClient> = Symbol('quickslice-client');
+
+/**
+ * Vue plugin that provides the client to every component
+ */
+export function createQuicksliceVue(client: QuicksliceClient) {
+  return {
+    install(app: App) {
+      app.provide(QuicksliceClientKey, client);
+    },
+  };
+}
+
+/**
+ * The client provided with createQuicksliceVue()
+ */
+export function useQuicksliceClient(): QuicksliceClient {
+  const client = inject(QuicksliceClientKey, null);
+  if (!client) {
+    throw new QuicksliceError('No Quickslice client provided; install createQuicksliceVue(client)');
+  }
+  return client;
+}
+
+export interface UseQueryReturn<T> {
+  data: ShallowRef<T | undefined>;
+  error: ShallowRef<Error | undefined>;
+  loading: Ref<boolean>;
+  /** Fetch the query again from the server */
+  refetch(): Promise<void>;
+  /** Fetch the next page of a connection in the result and merge it in */
+  fetchMore(options: ConnectionOptions): Promise<void>;
+}
+
+/**
+ * Run a query and keep its result up to date. `variables` may be a ref or
+ * getter; the query runs again when they change.
+ */
+export function useQuery<T = unknown, V extends Record<string, unknown> = Record<string, unknown>>(
+  query: TypedDocument<T, V> | string,
+  variables: MaybeRefOrGetter<V> = {} as V,
+  options: WatchQueryOptions = {}
+): UseQueryReturn<T> {
+  const observable = useQuicksliceClient().watchQuery<T, V>(query, toValue(variables), options);
+
+  const data = shallowRef<T | undefined>();
+  const error = shallowRef<Error | undefined>();
+  const loading = ref(true);
+
+  const unsubscribe = observable.subscribe((state) => {
+    data.value = state.data;
+    error.value = state.error;
+    loading.value = state.loading;
+  });
+
+  watch(
+    () => JSON.stringify(toValue(variables)),
+    (key) => observable.setVariables(JSON.parse(key))
+  );
+  onScopeDispose(unsubscribe);
+
+  return {
+    data,
+    error,
+    loading,
+    refetch: () => observable.refetch(),
+    fetchMore: (connection) => observable.fetchMore(connection),
+  };
+}
+
+export interface UseMutationReturn<T, V> {
+  /** Run the mutation; options are merged over those given to useMutation() */
+  mutate(variables?: V, options?: MutateOptions<T>): Promise<T>;
+  data: ShallowRef<T | undefined>;
+  error: ShallowRef<Error | undefined>;
+  loading: Ref<boolean>;
+}
+
+/**
+ * A mutation and the state of its last call
+ */
+export function useMutation<T = unknown, V extends Record<string, unknown> = Record<string, unknown>>(
+  mutation: TypedDocument<T, V> | string,
+  options: MutateOptions<T> = {}
+): UseMutationReturn<T, V> {
+  const client = useQuicksliceClient();
+  const data = shallowRef<T | undefined>();
+  const error = shallowRef<Error | undefined>();
+  const loading = ref(false);
+
+  const mutate = async (variables: V = {} as V, callOptions: MutateOptions<T> = {}) => {
+    loading.value = true;
+    error.value = undefined;
+    try {
+      data.value = await client.mutate<T, V>(mutation, variables, { ...options, ...callOptions });
+      return data.value;
+    } catch (err) {
+      error.value = err as Error;
+      throw err;
+    } finally {
+      loading.value = false;
+    }
+  };
+
+  return { mutate, data, error, loading };
+}
+
+export interface UseAuthReturn {
+  user: ShallowRef<User | null>;
+  isAuthenticated: ComputedRef<boolean>;
+  /** True until the session has been checked */
+  loading: Ref<boolean>;
+  /** Why checking the session failed, if it did */
+  error: ShallowRef<Error | undefined>;
+  loginWithRedirect(options?: LoginOptions): Promise<void>;
+  loginWithPopup(options?: PopupLoginOptions): Promise<User>;
+  logout(options?: LogoutOptions): Promise<void>;
+}
+
+/**
+ * The signed-in user, updated when it changes (login, logout, expired
+ * sessions), including in other tabs, but not on token refreshes
+ */
+export function useAuth(): UseAuthReturn {
+  const client = useQuicksliceClient();
+  const user = shallowRef<User | null>(null);
+  const loading = ref(true);
+  const error = shallowRef<Error | undefined>();
+
+  const refresh = async () => {
+    try {
+      const current = await client.getUser();
+      if (user.value?.did !== current?.did) user.value = current;
+      error.value = undefined;
+    } catch (err) {
+      error.value = err as Error;
+    }
+    loading.value = false;
+  };
+
+  refresh();
+  onScopeDispose(client.onAuthStateChange(refresh));
+
+  return {
+    user,
+    isAuthenticated: computed(() => user.value !== null),
+    loading,
+    error,
+    loginWithRedirect: (options) => client.loginWithRedirect(options),
+    loginWithPopup: (options) => client.loginWithPopup(options),
+    logout: (options) => client.logout(options),
+  };
+}
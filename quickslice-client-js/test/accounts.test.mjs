@@ -0,0 +1,190 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  QuicksliceClient,
+  createMemoryStorageAdapter,
+  createFileDPoPKeyStore,
+} from '../src/node';
+import { getDPoPKey } from '../src/auth/dpop';
+
+// Logins redirect by setting window.location.href
+globalThis.window = { location: { href: '' } };
+
+const requests = [];
+let rejectTokenRequests = false;
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), { status });
+
+globalThis.fetch = async (url, init = {}) => {
+  const body = init.body instanceof URLSearchParams ? init.body : new URLSearchParams();
+  requests.push({ url: String(url), dpop: new Headers(init.headers).get('DPoP'), body });
+
+  if (String(url).endsWith('/oauth/par')) {
+    return json({ request_uri: 'urn:ietf:params:oauth:request_uri:1' }, 201);
+  }
+  if (String(url).endsWith('/oauth/token')) {
+    if (rejectTokenRequests) return json({ error: 'invalid_grant' }, 400);
+    // The authorization code names the account that logs in
+    const did = body.get('code');
+    return json({ access_token: `at-${did}`, refresh_token: `rt-${did}`, expires_in: 3600, sub: did });
+  }
+  return json({ data: {} });
+};
+
+let clients = 0;
+
+function createClient(options = {}) {
+  return new QuicksliceClient({
+    server: 'https://api.example.com',
+    // A namespace of its own, so tests don't share keys or sessions
+    clientId: `client_${++clients}`,
+    redirectUri: 'https://app.example.com/callback',
+    usePar: true,
+    storage: createMemoryStorageAdapter(),
+    ...options,
+  });
+}
+
+/**
+ * Log in (or add an account) as `did` and return the key the PAR request was signed with
+ */
+async function login(client, did, addAccount = false) {
+  requests.length = 0;
+  if (addAccount) {
+    await client.addAccount();
+  } else {
+    await client.loginWithRedirect();
+  }
+
+  const par = requests.find((request) => request.url.endsWith('/oauth/par'));
+  const state = par.body.get('state');
+  await client.handleRedirectCallback(
+    `https://app.example.com/callback?code=${encodeURIComponent(did)}&state=${state}`
+  );
+  return proofKey(par.dpop);
+}
+
+function decodeJwtPart(part) {
+  return JSON.parse(Buffer.from(part, 'base64url').toString());
+}
+
+/**
+ * The x coordinate of the public key a DPoP proof was signed with
+ */
+function proofKey(proof) {
+  return decodeJwtPart(proof.split('.')[0]).jwk.x;
+}
+
+async function currentKey(client) {
+  return (await getDPoPKey(client['namespace'])).publicJwk.x;
+}
+
+async function sendQuery(client) {
+  requests.length = 0;
+  await client.query('query { viewer { did } }');
+  return requests.find((request) => request.url.endsWith('/graphql'));
+}
+
+test('an added account gets its own DPoP key', async () => {
+  const client = createClient();
+  await client.init();
+  await login(client, 'did:plc:alice');
+  const aliceKey = await currentKey(client);
+
+  const parKey = await login(client, 'did:plc:bob', true);
+  assert.notEqual(parKey, aliceKey);
+  assert.equal(await currentKey(client), parKey);
+  const exchange = requests.find((request) => request.url.endsWith('/oauth/token'));
+  assert.equal(proofKey(exchange.dpop), parKey);
+
+  await client.switchAccount('did:plc:alice');
+  assert.equal(await currentKey(client), aliceKey);
+  assert.equal(proofKey((await sendQuery(client)).dpop), aliceKey);
+});
+
+test('a failed add-account login keeps the current account and its key', async () => {
+  const client = createClient();
+  await client.init();
+  await login(client, 'did:plc:alice');
+  const aliceKey = await currentKey(client);
+
+  rejectTokenRequests = true;
+  try {
+    await assert.rejects(login(client, 'did:plc:bob', true), { code: 'invalid_grant' });
+  } finally {
+    rejectTokenRequests = false;
+  }
+
+  assert.deepEqual(await client.listAccounts(), [{ did: 'did:plc:alice', active: true }]);
+  assert.equal(await currentKey(client), aliceKey);
+  assert.equal(await client.getAccessToken(), 'at-did:plc:alice');
+});
+
+test('switchAccount stays on the current account if the switch fails', async () => {
+  const memory = createMemoryStorageAdapter();
+  let failWrite = null;
+  const storage = {
+    getItem: (key) => memory.getItem(key),
+    removeItem: (key) => memory.removeItem(key),
+    setItem(key, value) {
+      if (failWrite && key.endsWith(failWrite)) {
+        failWrite = null;
+        return Promise.reject(new Error('Disk full'));
+      }
+      return memory.setItem(key, value);
+    },
+  };
+
+  const client = createClient({ storage });
+  await client.init();
+  await login(client, 'did:plc:alice');
+  await login(client, 'did:plc:bob', true);
+  const bobKey = await currentKey(client);
+
+  failWrite = '_access_token';
+  await assert.rejects(client.switchAccount('did:plc:alice'), /Disk full/);
+
+  assert.deepEqual(await client.listAccounts(), [
+    { did: 'did:plc:bob', active: true },
+    { did: 'did:plc:alice', active: false },
+  ]);
+  assert.equal(await currentKey(client), bobKey);
+  assert.equal(await client.getAccessToken(), 'at-did:plc:bob');
+
+  // The parked account is still intact
+  await client.switchAccount('did:plc:alice');
+  assert.equal(await client.getAccessToken(), 'at-did:plc:alice');
+});
+
+test('keys in a file key store still sign requests after switching accounts', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'quickslice-'));
+  const client = createClient({ dpopKeyStore: createFileDPoPKeyStore(join(dir, 'keys.json')) });
+  await client.init();
+  await login(client, 'did:plc:alice');
+  const aliceKey = await currentKey(client);
+
+  await login(client, 'did:plc:bob', true);
+  await client.switchAccount('did:plc:alice');
+
+  const request = await sendQuery(client);
+  const [header, payload, signature] = request.dpop.split('.');
+  assert.equal(decodeJwtPart(header).jwk.x, aliceKey);
+
+  const publicKey = await crypto.subtle.importKey(
+    'jwk',
+    decodeJwtPart(header).jwk,
+    { name: 'ECDSA', namedCurve: 'P-256' },
+    false,
+    ['verify']
+  );
+  const valid = await crypto.subtle.verify(
+    { name: 'ECDSA', hash: 'SHA-256' },
+    publicKey,
+    Buffer.from(signature, 'base64url'),
+    new TextEncoder().encode(`${header}.${payload}`)
+  );
+  assert.ok(valid);
+});
@@ -0,0 +1,147 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OperationBatcher } from '../src/batch';
+import { QuicksliceClient, createMemoryStorageAdapter } from '../src/node';
+
+const requests = [];
+
+globalThis.fetch = async (url, init) => {
+  const body = JSON.parse(init.body);
+  requests.push(body);
+  const answer = (operation) => ({ data: { echo: operation.variables } });
+  return new Response(JSON.stringify(Array.isArray(body) ? body.map(answer) : answer(body)));
+};
+
+let clients = 0;
+
+async function createClient(options = {}) {
+  const storage = createMemoryStorageAdapter();
+  const client = new QuicksliceClient({
+    server: 'https://api.example.com',
+    clientId: `client_batch_${++clients}`,
+    storage,
+    ...options,
+  });
+  await client.init();
+
+  // A stored session, for authenticated operations
+  const prefix = `quickslice_${client['namespace']}_`;
+  await storage.setItem(`${prefix}access_token`, 'access-token');
+  await storage.setItem(`${prefix}refresh_token`, 'refresh-token');
+  await storage.setItem(`${prefix}token_expires_at`, String(Date.now() + 3600 * 1000));
+  await storage.setItem(`${prefix}user_did`, 'did:plc:test');
+
+  requests.length = 0;
+  return client;
+}
+
+test('the batcher sends operations from the same tick together, in batches of maxSize', async () => {
+  const batches = [];
+  const batcher = new OperationBatcher(
+    async (operations, requireAuth) => {
+      batches.push({ size: operations.length, requireAuth });
+      return operations.map(({ variables }) => ({ data: variables }));
+    },
+    { maxSize: 2 }
+  );
+
+  const results = await Promise.all([
+    batcher.enqueue('query A', { n: 1 }, false),
+    batcher.enqueue('query B', { n: 2 }, false),
+    batcher.enqueue('query C', { n: 3 }, false),
+    batcher.enqueue('query D', { n: 4 }, true),
+  ]);
+
+  assert.deepEqual(results, [{ n: 1 }, { n: 2 }, { n: 3 }, { n: 4 }]);
+  assert.deepEqual(batches, [
+    { size: 2, requireAuth: false },
+    { size: 1, requireAuth: false },
+    { size: 1, requireAuth: true },
+  ]);
+});
+
+test('each batched operation gets its own result or error', async () => {
+  const batcher = new OperationBatcher(async () => [
+    { data: { ok: true } },
+    { data: null, errors: [{ message: 'Record not found' }] },
+  ]);
+
+  const [ok, failed] = await Promise.allSettled([
+    batcher.enqueue('query A', {}, false),
+    batcher.enqueue('query B', {}, false),
+  ]);
+  assert.deepEqual(ok.value, { ok: true });
+  assert.equal(failed.reason.name, 'GraphQLResponseError');
+  assert.match(failed.reason.message, /Record not found/);
+});
+
+test('a failed batch request rejects every operation in it', async () => {
+  const batcher = new OperationBatcher(async () => {
+    throw new Error('Network down');
+  });
+  const results = await Promise.allSettled([
+    batcher.enqueue('query A', {}, false),
+    batcher.enqueue('query B', {}, false),
+  ]);
+  assert.deepEqual(
+    results.map((result) => result.reason.message),
+    ['Network down', 'Network down']
+  );
+});
+
+test('identical queries in flight share one request', async () => {
+  const client = await createClient();
+  const query = 'query Echo($n: Int) { echo(n: $n) }';
+
+  const [first, second, other] = await Promise.all([
+    client.publicQuery(query, { n: 1 }),
+    client.publicQuery(query, { n: 1 }),
+    client.publicQuery(query, { n: 2 }),
+  ]);
+  assert.deepEqual(first, { echo: { n: 1 } });
+  assert.equal(second, first);
+  assert.deepEqual(other, { echo: { n: 2 } });
+  assert.equal(requests.length, 2);
+
+  // Once settled, the same query is sent again
+  await client.publicQuery(query, { n: 1 });
+  assert.equal(requests.length, 3);
+});
+
+test('with batch enabled, queries share one POST but mutations are sent on their own', async () => {
+  const client = await createClient({ batch: true });
+  const query = 'query Echo($n: Int) { echo(n: $n) }';
+  const mutation = 'mutation Echo($n: Int) { echo(n: $n) }';
+
+  const results = await Promise.all([
+    client.query(query, { n: 1 }),
+    client.query(query, { n: 2 }),
+    client.mutate(mutation, { n: 3 }),
+  ]);
+  assert.deepEqual(results, [{ echo: { n: 1 } }, { echo: { n: 2 } }, { echo: { n: 3 } }]);
+
+  const batched = requests.find(Array.isArray);
+  assert.deepEqual(
+    batched.map((operation) => operation.variables),
+    [{ n: 1 }, { n: 2 }]
+  );
+  assert.deepEqual(
+    requests.filter((body) => !Array.isArray(body)).map((body) => body.query),
+    [mutation]
+  );
+});
+
+test('calls with a timeout are never batched', async () => {
+  const client = await createClient({ batch: true });
+  const query = 'query Echo($n: Int) { echo(n: $n) }';
+
+  await Promise.all([
+    client.publicQuery(query, { n: 1 }),
+    client.publicQuery(query, { n: 2 }, { timeout: 5000 }),
+  ]);
+  // The other query is batched on its own
+  assert.deepEqual(
+    requests.map((body) => (Array.isArray(body) ? body.length : body.variables)),
+    [{ n: 2 }, 1]
+  );
+});
@@ -0,0 +1,25 @@
+// Module hooks that bundle each test file with esbuild as it is loaded,
+// so tests can import the TypeScript sources, internal modules included,
+// without a build step. Everything a test imports shares one copy of each
+// module, just like in the published bundles.
+import { build } from 'esbuild';
+import { fileURLToPath } from 'node:url';
+
+export async function load(url, context, nextLoad) {
+  if (!url.endsWith('.test.mjs')) {
+    return nextLoad(url, context);
+  }
+
+  const result = await build({
+    entryPoints: [fileURLToPath(url)],
+    bundle: true,
+    write: false,
+    format: 'esm',
+    platform: 'node',
+    target: 'node20',
+    packages: 'external',
+    sourcemap: 'inline',
+    logLevel: 'silent',
+  });
+  return { format: 'module', source: result.outputFiles[0].text, shortCircuit: true };
+}
@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NormalizedCache } from '../src/cache';
+import { QuicksliceClient } from '../src/client';
+
+const STATUS_1 = 'at://did:plc:alice/xyz.statusphere.status/1';
+const STATUS_2 = 'at://did:plc:alice/xyz.statusphere.status/2';
+const PROFILE = 'at://did:plc:alice/app.bsky.actor.profile/self';
+
+const statusList = (...statuses) => ({
+  xyzStatusphereStatus: { edges: statuses.map((node) => ({ node })) },
+});
+
+const LIST = NormalizedCache.key('query { statuses }', {}, 'auth');
+const DETAIL = NormalizedCache.key('query { status }', { uri: STATUS_1 }, 'auth');
+const PROFILE_QUERY = NormalizedCache.key('query { profile }', {}, 'auth');
+
+function createCache() {
+  const cache = new NormalizedCache();
+  cache.writeQuery(LIST, statusList({ uri: STATUS_1, status: '🙂' }, { uri: STATUS_2, status: '🎉' }));
+  cache.writeQuery(DETAIL, { status: { uri: STATUS_1, status: '🙂', createdAt: '2024-01-01' } });
+  cache.writeQuery(PROFILE_QUERY, { profile: { uri: PROFILE, displayName: 'Alice' } });
+  return cache;
+}
+
+test('records are shared between cached queries', () => {
+  const cache = createCache();
+  cache.writeRecord({ uri: STATUS_1, status: '😎' });
+
+  assert.equal(cache.readQuery(LIST).xyzStatusphereStatus.edges[0].node.status, '😎');
+  assert.deepEqual(cache.readQuery(DETAIL), {
+    status: { uri: STATUS_1, status: '😎', createdAt: '2024-01-01' },
+  });
+  assert.deepEqual(cache.readRecord(STATUS_1), {
+    uri: STATUS_1,
+    status: '😎',
+    createdAt: '2024-01-01',
+  });
+});
+
+test('update results are merged into cached records', () => {
+  const cache = createCache();
+  cache.writeMutationResult(
+    'mutation { updateXyzStatusphereStatus(rkey: "1", input: {}) { uri status } }',
+    { updateXyzStatusphereStatus: { uri: STATUS_1, status: '🚀' } }
+  );
+
+  assert.equal(cache.readQuery(DETAIL).status.status, '🚀');
+  assert.equal(cache.readQuery(LIST).xyzStatusphereStatus.edges[0].node.status, '🚀');
+});
+
+test('delete results evict the record and the queries that contained it', () => {
+  const cache = createCache();
+  cache.writeMutationResult('mutation { deleteXyzStatusphereStatus(rkey: "1") { uri } }', {
+    deleteXyzStatusphereStatus: { uri: STATUS_1 },
+  });
+
+  assert.equal(cache.readRecord(STATUS_1), undefined);
+  assert.equal(cache.readQuery(LIST), undefined);
+  assert.equal(cache.readQuery(DETAIL), undefined);
+  assert.notEqual(cache.readQuery(PROFILE_QUERY), undefined);
+});
+
+test('create results invalidate cached lists of their collection', () => {
+  const cache = createCache();
+  cache.writeMutationResult('mutation { createXyzStatusphereStatus(input: {}) { uri status } }', {
+    createXyzStatusphereStatus: {
+      uri: 'at://did:plc:alice/xyz.statusphere.status/3',
+      status: '🌱',
+    },
+  });
+
+  assert.equal(cache.readQuery(LIST), undefined);
+  assert.notEqual(cache.readQuery(PROFILE_QUERY), undefined);
+  assert.equal(cache.readRecord('at://did:plc:alice/xyz.statusphere.status/3').status, '🌱');
+});
+
+test('mutation fields are recognized by their name, not their alias', () => {
+  const cache = createCache();
+  cache.writeMutationResult(
+    `mutation Remove($rkey: String!) {
+      # An alias that looks like another mutation
+      createdLater: deleteXyzStatusphereStatus(rkey: $rkey) { uri }
+      deleteSoon: updateXyzStatusphereStatus(rkey: "2", input: { status: "}" }) {
+        uri
+        status
+      }
+    }`,
+    {
+      createdLater: { uri: STATUS_1 },
+      deleteSoon: { uri: STATUS_2, status: '💤' },
+    }
+  );
+
+  assert.equal(cache.readRecord(STATUS_1), undefined);
+  assert.equal(cache.readRecord(STATUS_2).status, '💤');
+  assert.notEqual(cache.readQuery(PROFILE_QUERY), undefined);
+});
+
+test('evict() and invalidateCollection() drop the affected queries', () => {
+  const cache = createCache();
+  cache.invalidateCollection('app.bsky.actor.profile');
+  assert.equal(cache.readQuery(PROFILE_QUERY), undefined);
+  assert.notEqual(cache.readQuery(LIST), undefined);
+
+  cache.evict(STATUS_2);
+  assert.equal(cache.readQuery(LIST), undefined);
+  assert.notEqual(cache.readQuery(DETAIL), undefined);
+});
+
+test('the client answers from the cache according to the cache policy', async () => {
+  let requests = 0;
+  let offline = false;
+  globalThis.fetch = async () => {
+    requests++;
+    if (offline) throw new TypeError('fetch failed');
+    return new Response(
+      JSON.stringify({ data: { profile: { uri: PROFILE, displayName: `Alice ${requests}` } } })
+    );
+  };
+
+  const client = new QuicksliceClient({
+    server: 'https://api.example.com',
+    clientId: 'client_cache',
+    cache: true,
+  });
+  const query = 'query { profile { uri displayName } }';
+
+  assert.equal((await client.publicQuery(query)).profile.displayName, 'Alice 1');
+  assert.equal((await client.publicQuery(query)).profile.displayName, 'Alice 1');
+  assert.equal(requests, 1);
+
+  const fresh = await client.publicQuery(query, {}, { cachePolicy: 'network-first' });
+  assert.equal(fresh.profile.displayName, 'Alice 2');
+
+  // Offline, network-first falls back to the cached result
+  offline = true;
+  const cached = await client.publicQuery(query, {}, { cachePolicy: 'network-first', retry: false });
+  assert.equal(cached.profile.displayName, 'Alice 2');
+});
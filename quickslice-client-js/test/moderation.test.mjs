@@ -0,0 +1,170 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QuicksliceClient, createMemoryStorageAdapter } from '../src/node';
+
+const PREFERENCES = [
+  { val: 'porn', description: 'Pornography', severity: 'ALERT', defaultVisibility: 'HIDE', visibility: 'HIDE' },
+  { val: 'gore', description: 'Violence', severity: 'ALERT', defaultVisibility: 'WARN', visibility: 'WARN' },
+  { val: 'spoiler', description: 'Spoilers', severity: 'INFORM', defaultVisibility: 'WARN', visibility: 'IGNORE' },
+];
+
+const requests = [];
+
+globalThis.fetch = async (url, init) => {
+  const { query, variables } = JSON.parse(init.body);
+  requests.push({ query, variables });
+
+  if (query.includes('viewerLabelPreferences')) {
+    return Response.json({ data: { viewerLabelPreferences: PREFERENCES } });
+  }
+  if (query.includes('setLabelPreference')) {
+    const preference = PREFERENCES.find((p) => p.val === variables.val);
+    return Response.json({
+      data: { setLabelPreference: { ...preference, visibility: variables.visibility } },
+    });
+  }
+  if (query.includes('createReport')) {
+    return Response.json({
+      data: { createReport: { id: 1, ...variables, status: 'PENDING', createdAt: '2024-01-01T00:00:00Z' } },
+    });
+  }
+  return Response.json({ data: {} });
+};
+
+let clients = 0;
+
+/**
+ * A client with a stored session, unless `signedIn` is false
+ */
+async function createClient({ signedIn = true, ...options } = {}) {
+  const storage = createMemoryStorageAdapter();
+  const client = new QuicksliceClient({
+    server: 'https://api.example.com',
+    clientId: `client_moderation_${++clients}`,
+    storage,
+    ...options,
+  });
+  await client.init();
+
+  if (signedIn) {
+    const prefix = `quickslice_${client['namespace']}_`;
+    await storage.setItem(`${prefix}access_token`, 'access-token');
+    await storage.setItem(`${prefix}refresh_token`, 'refresh-token');
+    await storage.setItem(`${prefix}token_expires_at`, String(Date.now() + 3600 * 1000));
+    await storage.setItem(`${prefix}user_did`, 'did:plc:alice');
+  }
+  requests.length = 0;
+  return client;
+}
+
+const labels = (...vals) => ({ labels: vals.map((val) => ({ val })) });
+
+test('applies the viewer preferences, system labels and the strictest label', async () => {
+  const client = await createClient();
+  await client.moderation.load();
+  const { moderation } = client;
+
+  assert.deepEqual(moderation.moderate({ labels: null }), { show: true, blur: false, reasons: [] });
+  assert.deepEqual(moderation.moderate(labels('spoiler')), { show: true, blur: false, reasons: [] });
+
+  const warned = moderation.moderate(labels('gore', 'gore'));
+  assert.equal(warned.show, true);
+  assert.equal(warned.blur, true);
+  assert.deepEqual(warned.reasons, [
+    { val: 'gore', visibility: 'WARN', description: 'Violence', system: false },
+  ]);
+
+  const hidden = moderation.moderate(labels('gore', 'porn'));
+  assert.equal(hidden.show, false);
+  assert.equal(hidden.blur, false);
+  assert.deepEqual(
+    hidden.reasons.map((reason) => reason.val),
+    ['porn', 'gore']
+  );
+
+  assert.deepEqual(moderation.moderate(labels('!takedown')).reasons, [
+    { val: '!takedown', visibility: 'HIDE', system: true },
+  ]);
+  // Labels without a definition are blurred to be safe
+  assert.deepEqual(moderation.moderate(labels('unheard-of')), {
+    show: true,
+    blur: true,
+    reasons: [{ val: 'unheard-of', visibility: 'WARN', system: false }],
+  });
+});
+
+test('loads preferences once per session', async () => {
+  const client = await createClient();
+  const [first, second] = await Promise.all([client.moderation.load(), client.moderation.load()]);
+  await client.moderation.load();
+
+  assert.deepEqual(first, PREFERENCES);
+  assert.deepEqual(second, PREFERENCES);
+  assert.equal(requests.length, 1);
+
+  await client.moderation.refresh();
+  assert.equal(requests.length, 2);
+});
+
+test('signed-out viewers get the defaults without a request', async () => {
+  const client = await createClient({ signedIn: false });
+  assert.deepEqual(await client.moderation.load(), []);
+  assert.equal(requests.length, 0);
+  assert.equal(client.moderation.moderate(labels('porn')).blur, true);
+});
+
+test('changing a preference updates the loaded preferences and tells listeners', async () => {
+  const client = await createClient();
+  await client.moderation.load();
+  const changes = [];
+  client.moderation.onChange((preferences) => changes.push(preferences));
+
+  await client.moderation.setPreference('gore', 'HIDE');
+  assert.deepEqual(requests.at(-1).variables, { val: 'gore', visibility: 'HIDE' });
+  assert.equal(client.moderation.moderate(labels('gore')).show, false);
+  assert.equal(changes.length, 1);
+  assert.equal(changes[0].find((p) => p.val === 'gore').visibility, 'HIDE');
+
+  await client.moderation.resetPreference('spoiler');
+  assert.deepEqual(requests.at(-1).variables, { val: 'spoiler', visibility: 'WARN' });
+  await assert.rejects(client.moderation.resetPreference('unheard-of'), /Unknown label: unheard-of/);
+});
+
+test('preferences are dropped on logout', async () => {
+  const client = await createClient();
+  await client.moderation.load();
+  assert.notEqual(client.moderation.getPreferences(), null);
+
+  await client.logout({ revoke: false });
+  assert.equal(client.moderation.getPreferences(), null);
+  assert.equal(client.moderation.moderate(labels('spoiler')).blur, true);
+});
+
+test('errors thrown by listeners go to onError', async () => {
+  const errors = [];
+  const client = await createClient({ onError: (error) => errors.push(error) });
+  client.moderation.onChange(() => {
+    throw new Error('Broken listener');
+  });
+  const other = [];
+  client.moderation.onChange((preferences) => other.push(preferences));
+
+  await client.moderation.load();
+  assert.deepEqual(errors.map((error) => error.message), ['Broken listener']);
+  assert.equal(other.length, 1);
+});
+
+test('report() submits the subject and reason', async () => {
+  const client = await createClient();
+  const report = await client.moderation.report(
+    'at://did:plc:bob/xyz.statusphere.status/1',
+    'SPAM'
+  );
+
+  assert.deepEqual(requests.at(-1).variables, {
+    subjectUri: 'at://did:plc:bob/xyz.statusphere.status/1',
+    reasonType: 'SPAM',
+    reason: null,
+  });
+  assert.equal(report.status, 'PENDING');
+});
@@ -0,0 +1,221 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QuicksliceClient, createMemoryStorageAdapter } from '../src/node';
+
+const notification = (n) => ({
+  __typename: 'AppBskyFeedLike',
+  uri: `at://did:plc:bob/app.bsky.feed.like/like${String(n).padStart(2, '0')}`,
+});
+
+// Five notifications, newest first, served two per page
+const NOTIFICATIONS = [5, 4, 3, 2, 1].map(notification);
+
+const requests = [];
+
+globalThis.fetch = async (url, init) => {
+  const { variables } = JSON.parse(init.body);
+  requests.push(variables);
+
+  const start = variables.after === null ? 0 : Number(variables.after);
+  const edges = NOTIFICATIONS.slice(start, start + variables.first).map((node, i) => ({
+    node,
+    cursor: String(start + i + 1),
+  }));
+  const end = start + edges.length;
+  return Response.json({
+    data: {
+      notifications: {
+        edges,
+        pageInfo: { hasNextPage: end < NOTIFICATIONS.length, endCursor: String(end) },
+      },
+    },
+  });
+};
+
+/**
+ * A WebSocket that connects right away; `live` pushes a notification to
+ * the latest subscription
+ */
+class FakeSocket {
+  static latest = null;
+
+  constructor() {
+    this.readyState = 0;
+    this.subscriptions = [];
+    FakeSocket.latest = this;
+    setImmediate(() => {
+      this.readyState = 1;
+      this.onopen?.();
+    });
+  }
+
+  send(data) {
+    const message = JSON.parse(data);
+    if (message.type === 'connection_init') {
+      setImmediate(() => this.receive({ type: 'connection_ack' }));
+    } else if (message.type === 'subscribe') {
+      this.subscriptions.push(message);
+    }
+  }
+
+  close() {
+    this.readyState = 3;
+  }
+
+  receive(message) {
+    this.onmessage?.({ data: JSON.stringify(message) });
+  }
+
+  live(node) {
+    const { id } = this.subscriptions.at(-1);
+    this.receive({ id, type: 'next', payload: { data: { notificationCreated: node } } });
+  }
+}
+
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+async function until(condition) {
+  while (!condition()) await settle();
+}
+
+let clients = 0;
+
+async function createClient({ signedIn = true, ...options } = {}) {
+  const storage = createMemoryStorageAdapter();
+  const client = new QuicksliceClient({
+    server: 'https://api.example.com',
+    clientId: `client_notifications_${++clients}`,
+    storage,
+    webSocket: FakeSocket,
+    ...options,
+  });
+  await client.init();
+
+  if (signedIn) {
+    const prefix = `quickslice_${client['namespace']}_`;
+    await storage.setItem(`${prefix}access_token`, 'access-token');
+    await storage.setItem(`${prefix}refresh_token`, 'refresh-token');
+    await storage.setItem(`${prefix}token_expires_at`, String(Date.now() + 3600 * 1000));
+    await storage.setItem(`${prefix}user_did`, 'did:plc:alice');
+  }
+  requests.length = 0;
+  return client;
+}
+
+const FIELDS = '... on AppBskyFeedLike { uri }';
+
+/**
+ * Subscribe to a feed and wait for its first page
+ */
+async function openFeed(client, options = {}) {
+  const feed = client.notifications({ fields: FIELDS, first: 2, ...options });
+  const states = [];
+  const unsubscribe = feed.subscribe((state) => states.push(state));
+  await until(() => !feed.getState().loading);
+  return { feed, states, unsubscribe };
+}
+
+const uris = (state) => state.items.map((item) => item.node.uri.split('/').pop());
+
+test('loads the newest page on subscribe and older pages with fetchMore()', async () => {
+  const client = await createClient();
+  const { feed, states, unsubscribe } = await openFeed(client, {
+    collections: ['app.bsky.feed.like'],
+  });
+
+  assert.equal(states[0].loading, true);
+  assert.deepEqual(uris(feed.getState()), ['like05', 'like04']);
+  assert.equal(feed.getState().unreadCount, 2);
+  assert.equal(feed.getState().hasMore, true);
+  assert.deepEqual(requests[0], { first: 2, after: null, collections: ['APP_BSKY_FEED_LIKE'] });
+
+  await feed.fetchMore();
+  await feed.fetchMore();
+  assert.deepEqual(uris(feed.getState()), ['like05', 'like04', 'like03', 'like02', 'like01']);
+  assert.equal(feed.getState().hasMore, false);
+
+  await feed.fetchMore();
+  assert.equal(requests.length, 3);
+  unsubscribe();
+});
+
+test('read state is kept per viewer and shared by feeds', async () => {
+  const client = await createClient();
+  const { feed, unsubscribe } = await openFeed(client);
+
+  await feed.markRead(NOTIFICATIONS[1].uri);
+  assert.deepEqual(
+    feed.getState().items.map((item) => item.read),
+    [false, true]
+  );
+
+  await feed.markAllRead();
+  assert.equal(feed.getState().unreadCount, 0);
+  await feed.markUnread(NOTIFICATIONS[0].uri);
+  assert.equal(feed.getState().unreadCount, 1);
+  unsubscribe();
+
+  // A new feed picks up the stored state; older pages are read too
+  const second = await openFeed(client, { first: 5 });
+  assert.deepEqual(
+    second.feed.getState().items.map((item) => item.read),
+    [false, true, true, true, true]
+  );
+  second.unsubscribe();
+});
+
+test('prepends live notifications once, as unread', async () => {
+  const client = await createClient();
+  const { feed, unsubscribe } = await openFeed(client);
+  await feed.markAllRead();
+  await until(() => FakeSocket.latest.subscriptions.length > 0);
+
+  assert.deepEqual(FakeSocket.latest.subscriptions[0].payload.variables, {
+    did: 'did:plc:alice',
+    collections: null,
+  });
+
+  FakeSocket.latest.live(notification(6));
+  FakeSocket.latest.live(notification(6));
+  assert.deepEqual(uris(feed.getState()), ['like06', 'like05', 'like04']);
+  assert.equal(feed.getState().unreadCount, 1);
+  unsubscribe();
+});
+
+test('signed out, the feed is empty and sends nothing', async () => {
+  const client = await createClient({ signedIn: false });
+  const { feed, unsubscribe } = await openFeed(client);
+
+  assert.deepEqual(feed.getState(), {
+    items: [],
+    unreadCount: 0,
+    hasMore: false,
+    loading: false,
+    error: undefined,
+  });
+  assert.equal(requests.length, 0);
+  unsubscribe();
+});
+
+test('starts over after logout', async () => {
+  const client = await createClient();
+  const { feed, unsubscribe } = await openFeed(client);
+
+  await client.logout({ revoke: false });
+  await until(() => !feed.getState().loading);
+  assert.deepEqual(feed.getState().items, []);
+  unsubscribe();
+});
+
+test('errors thrown by listeners go to onError', async () => {
+  const errors = [];
+  const client = await createClient({ onError: (error) => errors.push(error) });
+  const feed = client.notifications({ fields: FIELDS });
+  const unsubscribe = feed.subscribe((state) => {
+    if (!state.loading) throw new Error('Broken listener');
+  });
+  await until(() => !feed.getState().loading);
+
+  assert.deepEqual(errors.map((error) => error.message), ['Broken listener']);
+  unsubscribe();
+});
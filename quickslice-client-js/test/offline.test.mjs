@@ -0,0 +1,182 @@
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { OfflineQueue } from '../src/offline';
+import { NetworkError, GraphQLResponseError } from '../src/errors';
+
+const RETRY_INTERVAL = 30000;
+
+// Let promise callbacks run; setImmediate isn't mocked
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+async function advance(ms) {
+  await settle();
+  mock.timers.tick(ms);
+  await settle();
+}
+
+const offline = () => new NetworkError('GraphQL request failed: fetch failed');
+
+/**
+ * A client stand-in: `sent` records replayed mutations, `failures` decides
+ * how each send goes (an error to throw, or nothing to succeed)
+ */
+function createTransport() {
+  const transport = {
+    did: 'did:plc:alice',
+    sent: [],
+    errors: [],
+    failures: [],
+    async send(mutation) {
+      const failure = transport.failures.shift();
+      if (failure) throw failure;
+      transport.sent.push(mutation.variables);
+      return { sent: mutation.variables };
+    },
+    getUserDid: async () => transport.did,
+    withLock: (fn) => fn(),
+    reportError: (error) => transport.errors.push(error),
+  };
+  return transport;
+}
+
+let queues = 0;
+
+async function createQueue(transport) {
+  const queue = new OfflineQueue(transport, { retryInterval: RETRY_INTERVAL });
+  // A namespace of its own, so queues don't hear each other's broadcasts
+  await queue.start(`offline_test_${++queues}`);
+  return queue;
+}
+
+/**
+ * Run a mutation whose first send finds the server unreachable
+ */
+function runOffline(queue, variables) {
+  return queue.run('mutation { create }', variables, async () => {
+    throw offline();
+  });
+}
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+test('sends mutations right away while the server is reachable', async () => {
+  const queue = await createQueue(createTransport());
+  const result = await queue.run('mutation { create }', {}, async () => 'done');
+  assert.equal(result, 'done');
+  assert.deepEqual(queue.getState(), { pending: [], replaying: false });
+});
+
+test('queues mutations while offline and replays them in order', async () => {
+  const transport = createTransport();
+  const queue = await createQueue(transport);
+  const states = [];
+  queue.onChange((state) => states.push(state.pending.length));
+
+  const first = runOffline(queue, { n: 1 });
+  await settle();
+  // Later mutations wait behind the queued one, even if they could be sent
+  const second = queue.run('mutation { create }', { n: 2 }, async () => 'sent out of order');
+  await settle();
+  assert.deepEqual(
+    queue.getState().pending.map((mutation) => [mutation.did, mutation.variables]),
+    [
+      ['did:plc:alice', { n: 1 }],
+      ['did:plc:alice', { n: 2 }],
+    ]
+  );
+
+  // The second mutation's replay finds the server still unreachable
+  transport.failures.push(offline());
+  await advance(0);
+  assert.deepEqual(transport.sent, []);
+
+  await advance(RETRY_INTERVAL);
+  assert.deepEqual(await first, { sent: { n: 1 } });
+  assert.deepEqual(await second, { sent: { n: 2 } });
+  assert.deepEqual(transport.sent, [{ n: 1 }, { n: 2 }]);
+  assert.equal(queue.getState().pending.length, 0);
+  assert.equal(states.at(-1), 0);
+});
+
+test('drops queued mutations the server rejects and keeps replaying the rest', async () => {
+  const transport = createTransport();
+  const queue = await createQueue(transport);
+  const failures = [];
+  queue.onFailure((mutation, error) => failures.push([mutation.variables, error.message]));
+
+  const rejected = runOffline(queue, { n: 1 });
+  const rejectedResult = assert.rejects(rejected, /Invalid record/);
+  await settle();
+  const accepted = runOffline(queue, { n: 2 });
+  await settle();
+
+  transport.failures.push(new GraphQLResponseError([{ message: 'Invalid record' }]));
+  await advance(RETRY_INTERVAL);
+
+  await rejectedResult;
+  assert.deepEqual(await accepted, { sent: { n: 2 } });
+  assert.equal(failures.length, 1);
+  assert.deepEqual(failures[0][0], { n: 1 });
+  assert.match(failures[0][1], /Invalid record/);
+});
+
+test('only replays mutations of the user who made them', async () => {
+  const transport = createTransport();
+  const queue = await createQueue(transport);
+
+  const result = runOffline(queue, { n: 1 });
+  await settle();
+
+  transport.did = 'did:plc:bob';
+  await advance(RETRY_INTERVAL);
+  assert.deepEqual(transport.sent, []);
+  assert.equal(queue.getState().pending.length, 1);
+
+  // Signing back in triggers the replay
+  transport.did = 'did:plc:alice';
+  await queue.replay();
+  assert.deepEqual(await result, { sent: { n: 1 } });
+});
+
+test('mutations made while signed out are sent, never queued', async () => {
+  const transport = createTransport();
+  transport.did = null;
+  const queue = await createQueue(transport);
+
+  await assert.rejects(runOffline(queue, {}), NetworkError);
+  assert.equal(queue.getState().pending.length, 0);
+});
+
+test('discarding a queued mutation rejects its caller', async () => {
+  const transport = createTransport();
+  const queue = await createQueue(transport);
+
+  const result = runOffline(queue, { n: 1 });
+  const settled = assert.rejects(result, /discarded/);
+  await settle();
+
+  await queue.discard(queue.getState().pending[0].id);
+  await settled;
+  await advance(RETRY_INTERVAL);
+  assert.deepEqual(transport.sent, []);
+});
+
+test('errors thrown by listeners are reported, not thrown', async () => {
+  const transport = createTransport();
+  const queue = await createQueue(transport);
+  queue.onChange(() => {
+    throw new Error('Broken listener');
+  });
+
+  const result = runOffline(queue, { n: 1 });
+  await advance(RETRY_INTERVAL);
+  assert.deepEqual(await result, { sent: { n: 1 } });
+  assert.ok(transport.errors.length > 0);
+  assert.ok(transport.errors.every((error) => error.message === 'Broken listener'));
+});
@@ -0,0 +1,159 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NormalizedCache } from '../src/cache';
+import { QuicksliceClient, createMemoryStorageAdapter } from '../src/node';
+
+const STATUS_1 = 'at://did:plc:alice/xyz.statusphere.status/1';
+const STATUS_2 = 'at://did:plc:alice/xyz.statusphere.status/2';
+
+const LIST_QUERY = 'query { xyzStatusphereStatus { edges { node { uri status } } } }';
+const LIST = NormalizedCache.key(LIST_QUERY, {}, 'auth');
+
+const statusList = (...statuses) => ({
+  xyzStatusphereStatus: { edges: statuses.map((node) => ({ node })) },
+});
+
+const statuses = (data) => data?.xyzStatusphereStatus.edges.map((edge) => edge.node.status);
+
+test('optimistic layers show on top of the cache and roll back when removed', () => {
+  const cache = new NormalizedCache();
+  cache.writeQuery(LIST, statusList({ uri: STATUS_1, status: '🙂' }, { uri: STATUS_2, status: '🎉' }));
+  const seen = [];
+  cache.watch(LIST, (data) => seen.push(statuses(data)));
+
+  const layer = cache.addOptimisticLayer((layered) => {
+    layered.writeRecord({ uri: STATUS_1, status: '⏳' });
+  });
+  assert.deepEqual(statuses(cache.readQuery(LIST)), ['⏳', '🎉']);
+
+  // Changes underneath keep the layer on top
+  cache.writeRecord({ uri: STATUS_2, status: '🌧' });
+  assert.deepEqual(statuses(cache.readQuery(LIST)), ['⏳', '🌧']);
+
+  cache.removeOptimisticLayer(layer);
+  assert.deepEqual(statuses(cache.readQuery(LIST)), ['🙂', '🌧']);
+  assert.deepEqual(seen, [
+    ['⏳', '🎉'],
+    ['⏳', '🌧'],
+    ['🙂', '🌧'],
+  ]);
+});
+
+test('layers are removed independently of the order they were added in', () => {
+  const cache = new NormalizedCache();
+  cache.writeQuery(LIST, statusList({ uri: STATUS_1, status: '🙂' }, { uri: STATUS_2, status: '🎉' }));
+
+  const first = cache.addOptimisticLayer((layered) => layered.writeRecord({ uri: STATUS_1, status: '1️⃣' }));
+  cache.addOptimisticLayer((layered) => layered.writeRecord({ uri: STATUS_2, status: '2️⃣' }));
+  cache.removeOptimisticLayer(first);
+
+  assert.deepEqual(statuses(cache.readQuery(LIST)), ['🙂', '2️⃣']);
+  // The base data was never touched
+  cache.clear();
+  assert.equal(cache.readQuery(LIST), undefined);
+});
+
+test('an optimistic delete takes the record out of cached lists', () => {
+  const cache = new NormalizedCache();
+  cache.writeQuery(LIST, statusList({ uri: STATUS_1, status: '🙂' }, { uri: STATUS_2, status: '🎉' }));
+
+  const layer = cache.addOptimisticLayer((layered) => {
+    layered.writeMutationResult(
+      'mutation { deleteXyzStatusphereStatus(rkey: "1") { uri } }',
+      { deleteXyzStatusphereStatus: { uri: STATUS_1 } },
+      true
+    );
+  });
+  assert.deepEqual(statuses(cache.readQuery(LIST)), ['🎉']);
+
+  cache.removeOptimisticLayer(layer);
+  assert.deepEqual(statuses(cache.readQuery(LIST)), ['🙂', '🎉']);
+});
+
+let clients = 0;
+
+/**
+ * A signed-in client with the cache on and the status list cached.
+ * Mutations wait for `release()` and then succeed, or fail if `fail` is set.
+ */
+async function createClient() {
+  const server = { fail: false, pending: [] };
+  globalThis.fetch = async (url, init) => {
+    const { query, variables } = JSON.parse(init.body);
+    if (query.startsWith('query')) {
+      return new Response(
+        JSON.stringify({ data: statusList({ uri: STATUS_1, status: '🙂' }, { uri: STATUS_2, status: '🎉' }) })
+      );
+    }
+
+    await new Promise((resolve) => server.pending.push(resolve));
+    if (server.fail) {
+      return new Response(JSON.stringify({ errors: [{ message: 'Invalid status' }] }));
+    }
+    return new Response(
+      JSON.stringify({ data: { updateXyzStatusphereStatus: { uri: STATUS_1, status: `${variables.status}✓` } } })
+    );
+  };
+  server.release = () => server.pending.shift()();
+
+  const storage = createMemoryStorageAdapter();
+  const client = new QuicksliceClient({
+    server: 'https://api.example.com',
+    clientId: `client_optimistic_${++clients}`,
+    storage,
+    cache: true,
+  });
+  await client.init();
+  const prefix = `quickslice_${client['namespace']}_`;
+  await storage.setItem(`${prefix}access_token`, 'access-token');
+  await storage.setItem(`${prefix}refresh_token`, 'refresh-token');
+  await storage.setItem(`${prefix}token_expires_at`, String(Date.now() + 3600 * 1000));
+  await storage.setItem(`${prefix}user_did`, 'did:plc:alice');
+
+  await client.query(LIST_QUERY);
+  return { client, server };
+}
+
+const UPDATE = 'mutation Update($status: String!) { updateXyzStatusphereStatus(rkey: "1", input: { status: $status }) { uri status } }';
+
+// Wait until the mutation request is waiting on the server
+const untilSent = async (server) => {
+  while (server.pending.length === 0) await new Promise((resolve) => setImmediate(resolve));
+};
+
+test('mutate() shows the optimistic response until the real result arrives', async () => {
+  const { client, server } = await createClient();
+  const seen = [];
+  client.cache.watch(LIST, (data) => seen.push(statuses(data)));
+
+  const result = client.mutate(UPDATE, { status: '😎' }, {
+    optimisticResponse: { updateXyzStatusphereStatus: { uri: STATUS_1, status: '😎' } },
+  });
+  await untilSent(server);
+  assert.deepEqual(statuses(client.cache.readQuery(LIST)), ['😎', '🎉']);
+
+  server.release();
+  await result;
+  assert.deepEqual(statuses(client.cache.readQuery(LIST)), ['😎✓', '🎉']);
+  // Watchers saw the optimistic and the real result, nothing in between
+  assert.deepEqual(seen, [
+    ['😎', '🎉'],
+    ['😎✓', '🎉'],
+  ]);
+});
+
+test('mutate() rolls the optimistic response back if the mutation fails', async () => {
+  const { client, server } = await createClient();
+  server.fail = true;
+
+  const result = client.mutate(UPDATE, { status: '😎' }, {
+    optimisticResponse: { updateXyzStatusphereStatus: { uri: STATUS_1, status: '😎' } },
+  });
+  const settled = assert.rejects(result, /Invalid status/);
+  await untilSent(server);
+  assert.deepEqual(statuses(client.cache.readQuery(LIST)), ['😎', '🎉']);
+
+  server.release();
+  await settled;
+  assert.deepEqual(statuses(client.cache.readQuery(LIST)), ['🙂', '🎉']);
+});
@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Paginator, mergeConnection, fetchMoreEdges } from '../src/pagination';
+import { QuicksliceClient } from '../src/client';
+
+// Three pages of two statuses each, answered by cursor
+const PAGES = {
+  start: { nodes: ['a', 'b'], endCursor: 'c2', hasNextPage: true },
+  c2: { nodes: ['c', 'd'], endCursor: 'c4', hasNextPage: true },
+  c4: { nodes: ['e', 'f'], endCursor: 'c6', hasNextPage: false },
+};
+
+function page(cursor = 'start') {
+  const { nodes, endCursor, hasNextPage } = PAGES[cursor];
+  return {
+    viewer: {
+      statuses: {
+        edges: nodes.map((uri) => ({ node: { uri }, cursor: uri })),
+        pageInfo: { hasNextPage, hasPreviousPage: cursor !== 'start', endCursor },
+        totalCount: 6,
+      },
+    },
+  };
+}
+
+function createFetchPage() {
+  const calls = [];
+  const fetchPage = async (variables) => {
+    calls.push(variables);
+    return page(variables.after);
+  };
+  return { calls, fetchPage };
+}
+
+const OPTIONS = { path: 'viewer.statuses' };
+
+test('iterating a paginator yields every node, fetching pages on demand', async () => {
+  const { calls, fetchPage } = createFetchPage();
+  const paginator = new Paginator(fetchPage, { first: 2 }, OPTIONS);
+
+  const uris = [];
+  for await (const node of paginator) {
+    uris.push(node.uri);
+    if (uris.length === 2) {
+      // The second page isn't requested before it is needed
+      assert.equal(calls.length, 1);
+    }
+  }
+
+  assert.deepEqual(uris, ['a', 'b', 'c', 'd', 'e', 'f']);
+  assert.deepEqual(calls, [{ first: 2 }, { first: 2, after: 'c2' }, { first: 2, after: 'c4' }]);
+});
+
+test('stopping early fetches no further pages', async () => {
+  const { calls, fetchPage } = createFetchPage();
+  for await (const page of new Paginator(fetchPage, {}, OPTIONS).pages()) {
+    assert.equal(page.edges.length, 2);
+    break;
+  }
+  assert.equal(calls.length, 1);
+});
+
+test('backward pagination follows startCursor through $before', async () => {
+  const calls = [];
+  const fetchPage = async (variables) => {
+    calls.push(variables);
+    const first = variables.before === undefined;
+    return {
+      statuses: {
+        edges: [{ node: { uri: first ? 'new' : 'old' } }],
+        pageInfo: { hasNextPage: false, hasPreviousPage: first, startCursor: 'p1' },
+      },
+    };
+  };
+
+  const uris = [];
+  for await (const node of new Paginator(fetchPage, {}, { path: 'statuses', direction: 'backward' })) {
+    uris.push(node.uri);
+  }
+  assert.deepEqual(uris, ['new', 'old']);
+  assert.deepEqual(calls, [{}, { before: 'p1' }]);
+});
+
+test('a missing connection is reported with its path', async () => {
+  const paginator = new Paginator(async () => ({ viewer: null }), {}, OPTIONS);
+  await assert.rejects(paginator.pages().next(), /No connection .* at "viewer.statuses"/);
+});
+
+test('mergeConnection appends edges and takes the new page info', () => {
+  const merged = mergeConnection(page(), page('c2'), OPTIONS);
+  assert.deepEqual(
+    merged.viewer.statuses.edges.map((edge) => edge.node.uri),
+    ['a', 'b', 'c', 'd']
+  );
+  assert.equal(merged.viewer.statuses.pageInfo.endCursor, 'c4');
+  assert.equal(merged.viewer.statuses.pageInfo.hasNextPage, true);
+  assert.equal(merged.viewer.statuses.pageInfo.hasPreviousPage, false);
+});
+
+test('fetchMoreEdges returns the previous result once there are no more pages', async () => {
+  const { calls, fetchPage } = createFetchPage();
+  const last = page('c4');
+  assert.equal(await fetchMoreEdges(fetchPage, {}, last, OPTIONS), last);
+  assert.equal(calls.length, 0);
+});
+
+test('client.paginate() sends the cursor as a query variable', async () => {
+  const bodies = [];
+  globalThis.fetch = async (url, init) => {
+    const body = JSON.parse(init.body);
+    bodies.push(body);
+    return new Response(JSON.stringify({ data: page(body.variables.after) }));
+  };
+
+  const client = new QuicksliceClient({
+    server: 'https://api.example.com',
+    clientId: 'client_pagination',
+  });
+  const query = 'query Statuses($after: String) { viewer { statuses(after: $after) { uri } } }';
+
+  const uris = [];
+  for await (const node of client.paginate(query, {}, { ...OPTIONS, public: true })) {
+    uris.push(node.uri);
+  }
+
+  assert.deepEqual(uris, ['a', 'b', 'c', 'd', 'e', 'f']);
+  assert.deepEqual(
+    bodies.map((body) => body.variables),
+    [{}, { after: 'c2' }, { after: 'c4' }]
+  );
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { QuicksliceClient } from '../src/client';
+
+const sha256 = (text) => createHash('sha256').update(text).digest('hex');
+
+/**
+ * A server with an Automatic Persisted Queries store: it answers known
+ * hashes and learns a query when it comes with its hash
+ */
+function createServer() {
+  const known = new Map();
+  const bodies = [];
+
+  const answer = ({ query, variables, extensions }) => {
+    const hash = extensions?.persistedQuery?.sha256Hash;
+    if (query === undefined) {
+      if (!known.has(hash)) {
+        return {
+          errors: [{ message: 'PersistedQueryNotFound', extensions: { code: 'PERSISTED_QUERY_NOT_FOUND' } }],
+        };
+      }
+      query = known.get(hash);
+    } else if (hash !== undefined) {
+      assert.equal(hash, sha256(query));
+      known.set(hash, query);
+    }
+    return { data: { query, variables } };
+  };
+
+  globalThis.fetch = async (url, init) => {
+    const body = JSON.parse(init.body);
+    bodies.push(body);
+    return new Response(JSON.stringify(Array.isArray(body) ? body.map(answer) : answer(body)));
+  };
+  return { bodies };
+}
+
+let clients = 0;
+
+function createClient(options = {}) {
+  return new QuicksliceClient({
+    server: 'https://api.example.com',
+    clientId: `client_persisted_${++clients}`,
+    persistedQueries: true,
+    ...options,
+  });
+}
+
+test('sends the full query only when the server does not know its hash', async () => {
+  const { bodies } = createServer();
+  const client = createClient();
+  const query = 'query Profile($did: String!) { profile(did: $did) { displayName } }';
+  const hash = sha256(query);
+
+  const first = await client.publicQuery(query, { did: 'did:plc:alice' });
+  assert.deepEqual(first, { query, variables: { did: 'did:plc:alice' } });
+  assert.deepEqual(bodies, [
+    { variables: { did: 'did:plc:alice' }, extensions: { persistedQuery: { version: 1, sha256Hash: hash } } },
+    { query, variables: { did: 'did:plc:alice' }, extensions: { persistedQuery: { version: 1, sha256Hash: hash } } },
+  ]);
+
+  // From now on the hash is enough
+  bodies.length = 0;
+  const second = await client.publicQuery(query, { did: 'did:plc:bob' });
+  assert.deepEqual(second, { query, variables: { did: 'did:plc:bob' } });
+  assert.equal(bodies.length, 1);
+  assert.equal(bodies[0].query, undefined);
+});
+
+test('other errors are not mistaken for a missing hash', async () => {
+  const bodies = [];
+  globalThis.fetch = async (url, init) => {
+    bodies.push(JSON.parse(init.body));
+    return new Response(JSON.stringify({ errors: [{ message: 'Record not found' }] }));
+  };
+
+  await assert.rejects(createClient().publicQuery('query { missing }'), /Record not found/);
+  assert.equal(bodies.length, 1);
+});
+
+test('batched operations with unknown hashes are sent again with their queries', async () => {
+  const { bodies } = createServer();
+  const client = createClient({ batch: true });
+  const known = 'query Known { known }';
+  const unknown = 'query Unknown { unknown }';
+
+  await client.publicQuery(known);
+  bodies.length = 0;
+
+  const results = await Promise.all([client.publicQuery(known), client.publicQuery(unknown)]);
+  assert.deepEqual(
+    results.map((result) => result.query),
+    [known, unknown]
+  );
+
+  assert.equal(bodies.length, 2);
+  assert.ok(bodies[0].every((operation) => operation.query === undefined));
+  assert.deepEqual(
+    bodies[1].map((operation) => operation.query),
+    [unknown]
+  );
+});
@@ -0,0 +1,4 @@
+// Loaded with `node --import` before the tests run; see bundle-hooks.mjs
+import { register } from 'node:module';
+
+register('./bundle-hooks.mjs', import.meta.url);
@@ -0,0 +1,177 @@
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { withRetry, withSignal, parseRetryAfter } from '../src/retry';
+import { AbortError, NetworkError, OAuthError, TimeoutError } from '../src/errors';
+import { QuicksliceClient } from '../src/client';
+
+// Let promise callbacks run; setImmediate isn't mocked
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+async function advance(ms) {
+  // The retry is only planned once the failed attempt has been handled
+  await settle();
+  mock.timers.tick(ms);
+  await settle();
+}
+
+/**
+ * A function failing with the given errors, then succeeding; records when it was called
+ */
+function flaky(...errors) {
+  const calls = [];
+  const fn = async () => {
+    calls.push(Date.now());
+    if (errors.length > 0) throw errors.shift();
+    return 'ok';
+  };
+  return { calls, fn };
+}
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+  // No jitter: every retry waits the full backoff
+  mock.method(Math, 'random', () => 1);
+});
+
+afterEach(() => {
+  mock.timers.reset();
+  mock.restoreAll();
+});
+
+test('retries network failures with exponential backoff', async () => {
+  const { calls, fn } = flaky(new NetworkError('fetch failed'), new NetworkError('Bad gateway', 502));
+  const result = withRetry(fn, { baseDelay: 100 });
+
+  await advance(100);
+  await advance(200);
+  assert.equal(await result, 'ok');
+  assert.deepEqual(calls, [0, 100, 300]);
+});
+
+test('gives up after the configured retries', async () => {
+  const error = new NetworkError('Service unavailable', 503);
+  const { calls, fn } = flaky(error, error, error);
+  const result = withRetry(fn, { retries: 1, baseDelay: 100 });
+  const settled = assert.rejects(result, error);
+
+  await advance(100);
+  await settled;
+  assert.equal(calls.length, 2);
+});
+
+test('does not retry errors that would happen again', async () => {
+  for (const error of [
+    new NetworkError('Bad request', 400),
+    new TimeoutError('Request timed out'),
+    new OAuthError('invalid_grant', undefined, 400),
+  ]) {
+    const { calls, fn } = flaky(error);
+    await assert.rejects(withRetry(fn, {}), error);
+    assert.equal(calls.length, 1);
+  }
+});
+
+test('retries token refreshes the authorization server failed with 5xx or 429', async () => {
+  const { calls, fn } = flaky(
+    new OAuthError('server_error', undefined, 503),
+    new OAuthError('rate_limited', undefined, 429)
+  );
+  const result = withRetry(fn, { baseDelay: 100 });
+
+  await advance(100);
+  await advance(200);
+  assert.equal(await result, 'ok');
+  assert.equal(calls.length, 3);
+});
+
+test('honours Retry-After up to maxDelay', async () => {
+  const { calls, fn } = flaky(
+    new NetworkError('Too many requests', 429, 2000),
+    new NetworkError('Too many requests', 429, 3600 * 1000)
+  );
+  const result = withRetry(fn, { baseDelay: 100, maxDelay: 5000 });
+
+  await advance(2000);
+  await advance(5000);
+  assert.equal(await result, 'ok');
+  assert.deepEqual(calls, [0, 2000, 7000]);
+});
+
+test('retry: false sends once', async () => {
+  const error = new NetworkError('fetch failed');
+  const { calls, fn } = flaky(error);
+  await assert.rejects(withRetry(fn, false), error);
+  assert.equal(calls.length, 1);
+});
+
+test('aborting stops waiting for the next retry', async () => {
+  const controller = new AbortController();
+  const { calls, fn } = flaky(new NetworkError('fetch failed'));
+  const result = withRetry(fn, { baseDelay: 1000 }, controller.signal);
+  await settle();
+
+  controller.abort();
+  await assert.rejects(result, AbortError);
+  await advance(1000);
+  assert.equal(calls.length, 1);
+});
+
+test('withSignal rejects with TimeoutError once the timeout passes', async () => {
+  let signal;
+  const result = withSignal({ timeout: 5000 }, (s) => {
+    signal = s;
+    return new Promise(() => {});
+  });
+  const settled = assert.rejects(result, (err) => {
+    assert.ok(err instanceof TimeoutError);
+    assert.match(err.message, /5000ms/);
+    return true;
+  });
+
+  await advance(5000);
+  await settled;
+  assert.equal(signal.aborted, true);
+});
+
+test('withSignal rejects with AbortError when the caller aborts', async () => {
+  const controller = new AbortController();
+  const result = withSignal({ signal: controller.signal }, () => new Promise(() => {}));
+  controller.abort();
+  await assert.rejects(result, AbortError);
+
+  await assert.rejects(
+    withSignal({ signal: controller.signal }, async () => 'never called'),
+    AbortError
+  );
+});
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+  assert.equal(parseRetryAfter('3'), 3000);
+  assert.equal(parseRetryAfter(new Date(10000).toUTCString()), 10000);
+  assert.equal(parseRetryAfter(new Date(-10000).toUTCString()), 0);
+  assert.equal(parseRetryAfter('soon'), undefined);
+  assert.equal(parseRetryAfter(null), undefined);
+});
+
+test('the client retries queries the server answered with 503', async () => {
+  const statuses = [503, 200];
+  globalThis.fetch = async () => {
+    const status = statuses.shift();
+    return new Response(JSON.stringify({ data: { ok: status === 200 } }), {
+      status,
+      headers: { 'Retry-After': '1' },
+    });
+  };
+
+  const client = new QuicksliceClient({
+    server: 'https://api.example.com',
+    clientId: 'client_retry',
+  });
+  const result = client.publicQuery('query { ok }');
+  // Wait for the first attempt
+  while (statuses.length > 1) await settle();
+  await advance(1000);
+
+  assert.deepEqual(await result, { ok: true });
+  assert.equal(statuses.length, 0);
+});
@@ -0,0 +1,266 @@
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { RefreshScheduler } from '../src/auth/scheduler';
+import { QuicksliceClient, createMemoryStorageAdapter } from '../src/node';
+
+const MINUTE = 60 * 1000;
+const AHEAD = 5 * MINUTE;
+
+// A page whose visibility the tests control
+const document = {
+  visibilityState: 'visible',
+  listeners: new Set(),
+  addEventListener(type, listener) {
+    this.listeners.add(listener);
+  },
+  removeEventListener(type, listener) {
+    this.listeners.delete(listener);
+  },
+  setVisibility(state) {
+    this.visibilityState = state;
+    this.listeners.forEach((listener) => listener());
+  },
+};
+globalThis.document = document;
+
+/**
+ * A transport whose token expires at `expiresAt`; a successful refresh
+ * extends it by an hour
+ */
+function createTransport(expiresAt) {
+  const transport = {
+    expiresAt,
+    refreshes: [],
+    errors: [],
+    failNextRefresh: false,
+    getExpiry: async () => transport.expiresAt,
+    async refresh(minValidity) {
+      transport.refreshes.push({ at: Date.now(), minValidity });
+      if (transport.failNextRefresh) {
+        transport.failNextRefresh = false;
+        throw new Error('Offline');
+      }
+      transport.expiresAt = Date.now() + 60 * MINUTE;
+    },
+    reportError: (error) => transport.errors.push(error),
+  };
+  return transport;
+}
+
+// Let promise callbacks run; setImmediate isn't mocked
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+async function advance(ms) {
+  mock.timers.tick(ms);
+  await settle();
+}
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+  document.visibilityState = 'visible';
+  document.listeners.clear();
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+test('refreshes `ahead` before the token expires', async () => {
+  const transport = createTransport(60 * MINUTE);
+  const scheduler = new RefreshScheduler(transport, { ahead: AHEAD });
+  scheduler.start();
+  await settle();
+
+  await advance(55 * MINUTE - 1);
+  assert.equal(transport.refreshes.length, 0);
+
+  await advance(1);
+  assert.deepEqual(transport.refreshes, [{ at: 55 * MINUTE, minValidity: AHEAD }]);
+
+  // The next refresh is planned from the new token
+  await advance(55 * MINUTE);
+  assert.equal(transport.refreshes.length, 2);
+  scheduler.stop();
+});
+
+test('refreshes tokens shorter-lived than `ahead` halfway through', async () => {
+  const transport = createTransport(4 * MINUTE);
+  const scheduler = new RefreshScheduler(transport, { ahead: AHEAD });
+  scheduler.start();
+  await settle();
+
+  await advance(2 * MINUTE - 1);
+  assert.equal(transport.refreshes.length, 0);
+  await advance(1);
+  assert.equal(transport.refreshes.length, 1);
+  scheduler.stop();
+});
+
+test('pauses while the page is hidden and catches up when it is shown', async () => {
+  const transport = createTransport(10 * MINUTE);
+  const scheduler = new RefreshScheduler(transport, { ahead: AHEAD });
+  document.visibilityState = 'hidden';
+  scheduler.start();
+  await settle();
+
+  await advance(20 * MINUTE);
+  assert.equal(transport.refreshes.length, 0);
+
+  document.setVisibility('visible');
+  await settle();
+  await advance(0);
+  assert.deepEqual(transport.refreshes, [{ at: 20 * MINUTE, minValidity: AHEAD }]);
+
+  // Hiding the page again cancels the planned refresh
+  document.setVisibility('hidden');
+  await advance(60 * MINUTE);
+  assert.equal(transport.refreshes.length, 1);
+  scheduler.stop();
+});
+
+test('retries a failed refresh after 30 seconds', async () => {
+  const transport = createTransport(10 * MINUTE);
+  const scheduler = new RefreshScheduler(transport, { ahead: AHEAD });
+  transport.failNextRefresh = true;
+  scheduler.start();
+  await settle();
+
+  await advance(5 * MINUTE);
+  assert.equal(transport.refreshes.length, 1);
+
+  await advance(30000 - 1);
+  assert.equal(transport.refreshes.length, 1);
+  await advance(1);
+  assert.equal(transport.refreshes.length, 2);
+  assert.equal(transport.expiresAt, 5 * MINUTE + 30000 + 60 * MINUTE);
+  scheduler.stop();
+});
+
+test('does not retry once the session is gone', async () => {
+  const transport = createTransport(10 * MINUTE);
+  const scheduler = new RefreshScheduler(transport, { ahead: AHEAD });
+  let refreshes = 0;
+  transport.refresh = async () => {
+    refreshes++;
+    // Like a rejected refresh token, which clears the session
+    transport.expiresAt = null;
+    throw new Error('invalid_grant');
+  };
+  scheduler.start();
+  await settle();
+
+  await advance(5 * MINUTE);
+  assert.equal(refreshes, 1);
+  await advance(60 * MINUTE);
+  assert.equal(refreshes, 1);
+  scheduler.stop();
+});
+
+test('reports errors reading the tokens and tries again later', async () => {
+  const transport = createTransport(10 * MINUTE);
+  const failure = new Error('Storage unavailable');
+  let failing = true;
+  const getExpiry = transport.getExpiry;
+  transport.getExpiry = async () => {
+    if (failing) throw failure;
+    return getExpiry();
+  };
+  const scheduler = new RefreshScheduler(transport, { ahead: AHEAD });
+  scheduler.start();
+  await settle();
+  assert.deepEqual(transport.errors, [failure]);
+
+  failing = false;
+  await advance(30000);
+  await advance(5 * MINUTE);
+  assert.equal(transport.refreshes.length, 1);
+  scheduler.stop();
+});
+
+test('stop() cancels the planned refresh and stops listening to the page', async () => {
+  const transport = createTransport(10 * MINUTE);
+  const scheduler = new RefreshScheduler(transport, { ahead: AHEAD });
+  scheduler.start();
+  await settle();
+
+  scheduler.stop();
+  assert.equal(document.listeners.size, 0);
+  await advance(60 * MINUTE);
+  document.setVisibility('visible');
+  await advance(60 * MINUTE);
+  assert.equal(transport.refreshes.length, 0);
+
+  // Starting again, e.g. on the next login, plans from the current token
+  transport.expiresAt = Date.now() + 10 * MINUTE;
+  scheduler.start();
+  await settle();
+  await advance(5 * MINUTE);
+  assert.equal(transport.refreshes.length, 1);
+  scheduler.stop();
+});
+
+test('only the latest read of the tokens plans the refresh', async () => {
+  const transport = createTransport(null);
+  const reads = [];
+  transport.getExpiry = () => new Promise((resolve) => reads.push(resolve));
+  const scheduler = new RefreshScheduler(transport, { ahead: AHEAD });
+
+  scheduler.start();
+  scheduler.schedule();
+  assert.equal(reads.length, 2);
+
+  // The newer read answers first; the stale one must not replace its timer
+  reads[1](60 * MINUTE);
+  await settle();
+  reads[0](6 * MINUTE);
+  await settle();
+
+  await advance(30 * MINUTE);
+  assert.equal(transport.refreshes.length, 0);
+  await advance(25 * MINUTE);
+  assert.equal(transport.refreshes.length, 1);
+  scheduler.stop();
+});
+
+test('the client stops refreshing in the background after logout', async () => {
+  const tokenRequests = [];
+  globalThis.fetch = async (url) => {
+    if (String(url).endsWith('/oauth/token')) {
+      tokenRequests.push(Date.now());
+      return new Response(
+        JSON.stringify({ access_token: 'fresh-token', refresh_token: 'next-token', expires_in: 3600 })
+      );
+    }
+    return new Response('{}');
+  };
+
+  const storage = createMemoryStorageAdapter();
+  const options = {
+    server: 'https://api.example.com',
+    clientId: 'client_scheduler',
+    storage,
+    autoRefresh: { ahead: AHEAD },
+  };
+
+  // Store a session where the client that picks it up will look for it
+  const setup = new QuicksliceClient(options);
+  await setup.init();
+  const prefix = `quickslice_${setup['namespace']}_`;
+  await storage.setItem(`${prefix}access_token`, 'access-token');
+  await storage.setItem(`${prefix}refresh_token`, 'refresh-token');
+  await storage.setItem(`${prefix}token_expires_at`, String(Date.now() + 10 * MINUTE));
+  await storage.setItem(`${prefix}client_id`, 'client_scheduler');
+  await storage.setItem(`${prefix}user_did`, 'did:plc:test');
+
+  const client = new QuicksliceClient(options);
+  await client.init();
+
+  // The refresh also waits for the storage lock, which polls every few ms
+  while (tokenRequests.length === 0 && Date.now() < 10 * MINUTE) await advance(1000);
+  assert.equal(tokenRequests.length, 1);
+
+  await client.logout({ revoke: false });
+  await settle();
+  for (let i = 0; i < 24; i++) await advance(5 * MINUTE);
+  assert.equal(tokenRequests.length, 1);
+});
@@ -0,0 +1,229 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { SubscriptionManager } from '../src/subscriptions';
+
+/**
+ * A WebSocket the tests drive by hand
+ */
+class FakeSocket {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    this.closed = false;
+    FakeSocket.instances.push(this);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.closed = true;
+    this.readyState = 3;
+  }
+
+  open() {
+    this.readyState = 1;
+    this.onopen?.();
+  }
+
+  receive(message) {
+    this.onmessage?.({ data: JSON.stringify(message) });
+  }
+
+  drop(code, reason = '') {
+    this.readyState = 3;
+    this.onclose?.({ code, reason });
+  }
+}
+
+// Let promise callbacks run; setImmediate isn't mocked
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+const QUERY = 'subscription { statusCreated { uri } }';
+
+function createManager(options = {}) {
+  FakeSocket.instances = [];
+  let token = 0;
+  return new SubscriptionManager(
+    'wss://api.example.com/graphql',
+    options.getConnectionParams ?? (async () => ({ authorization: `DPoP token-${++token}` })),
+    FakeSocket,
+    options.onError
+  );
+}
+
+function recorder() {
+  const events = [];
+  return {
+    events,
+    handlers: {
+      next: (data) => events.push(['next', data]),
+      error: (error) => events.push(['error', error]),
+      complete: () => events.push(['complete']),
+    },
+  };
+}
+
+/**
+ * Open the latest socket and acknowledge the connection
+ */
+async function connect() {
+  await settle();
+  const socket = FakeSocket.instances.at(-1);
+  socket.open();
+  socket.receive({ type: 'connection_ack' });
+  return socket;
+}
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+test('authenticates, subscribes after the ack and delivers events', async () => {
+  const manager = createManager();
+  const { events, handlers } = recorder();
+  manager.subscribe(QUERY, { limit: 1 }, handlers);
+
+  const socket = await connect();
+  assert.deepEqual(socket.sent, [
+    { type: 'connection_init', payload: { authorization: 'DPoP token-1' } },
+    { id: '1', type: 'subscribe', payload: { query: QUERY, variables: { limit: 1 } } },
+  ]);
+
+  socket.receive({ id: '1', type: 'next', payload: { data: { statusCreated: { uri: 'at://a' } } } });
+  socket.receive({ id: '1', type: 'complete' });
+  assert.deepEqual(events, [['next', { statusCreated: { uri: 'at://a' } }], ['complete']]);
+});
+
+test('unsubscribing completes the operation and closes the idle socket', async () => {
+  const manager = createManager();
+  const first = manager.subscribe(QUERY, {}, recorder().handlers);
+  const second = manager.subscribe(QUERY, {}, recorder().handlers);
+  const socket = await connect();
+
+  first();
+  assert.deepEqual(socket.sent.at(-1), { id: '1', type: 'complete' });
+  assert.equal(socket.closed, false);
+
+  second();
+  assert.equal(socket.closed, true);
+});
+
+test('reconnects with backoff and resubscribes after the connection drops', async () => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  const manager = createManager();
+  const { events, handlers } = recorder();
+  manager.subscribe(QUERY, {}, handlers);
+  await connect();
+
+  FakeSocket.instances[0].drop(1006);
+  await settle();
+  assert.equal(FakeSocket.instances.length, 1);
+
+  // The first retry waits between half and all of a second
+  mock.timers.tick(1000);
+  const socket = await connect();
+  assert.equal(FakeSocket.instances.length, 2);
+  assert.deepEqual(socket.sent[1], {
+    id: '1',
+    type: 'subscribe',
+    payload: { query: QUERY, variables: {} },
+  });
+  assert.deepEqual(events, []);
+});
+
+test('ends every subscription when the server rejects the connection', async () => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  const manager = createManager();
+  const first = recorder();
+  const second = recorder();
+  manager.subscribe(QUERY, {}, first.handlers);
+  manager.subscribe(QUERY, {}, second.handlers);
+  await settle();
+  FakeSocket.instances[0].open();
+
+  FakeSocket.instances[0].drop(4401, 'Unauthorized');
+  mock.timers.tick(60000);
+  await settle();
+
+  assert.equal(FakeSocket.instances.length, 1);
+  for (const { events } of [first, second]) {
+    assert.equal(events.length, 1);
+    assert.equal(events[0][0], 'error');
+    assert.match(events[0][1].message, /Unauthorized/);
+  }
+});
+
+test('reconnect() opens a new connection with fresh credentials', async () => {
+  const manager = createManager();
+  manager.subscribe(QUERY, {}, recorder().handlers);
+  const first = await connect();
+
+  manager.reconnect();
+  const second = await connect();
+
+  assert.equal(first.closed, true);
+  assert.deepEqual(second.sent[0], {
+    type: 'connection_init',
+    payload: { authorization: 'DPoP token-2' },
+  });
+  assert.equal(second.sent[1].type, 'subscribe');
+});
+
+test('a reconnect() while credentials are being fetched uses the newer ones', async () => {
+  let resolveFirst;
+  const params = [
+    new Promise((resolve) => (resolveFirst = resolve)),
+    Promise.resolve({ authorization: 'DPoP new-session' }),
+  ];
+  let calls = 0;
+  const manager = createManager({ getConnectionParams: () => params[calls++] });
+  manager.subscribe(QUERY, {}, recorder().handlers);
+
+  manager.reconnect();
+  resolveFirst({ authorization: 'DPoP old-session' });
+  const socket = await connect();
+
+  assert.equal(FakeSocket.instances.length, 1);
+  assert.deepEqual(socket.sent[0].payload, { authorization: 'DPoP new-session' });
+});
+
+test('errors thrown by handlers are reported without affecting other subscriptions', async () => {
+  const reported = [];
+  const manager = createManager({ onError: (error) => reported.push(error) });
+  const { events, handlers } = recorder();
+  manager.subscribe(QUERY, {}, {
+    next() {
+      throw new Error('Broken handler');
+    },
+  });
+  manager.subscribe(QUERY, {}, handlers);
+  const socket = await connect();
+
+  socket.receive({ id: '1', type: 'next', payload: { data: { n: 1 } } });
+  socket.receive({ id: '2', type: 'next', payload: { data: { n: 2 } } });
+
+  assert.deepEqual(reported.map((error) => error.message), ['Broken handler']);
+  assert.deepEqual(events, [['next', { n: 2 }]]);
+});
+
+test('fails subscriptions when no WebSocket implementation is available', async (t) => {
+  // Newer Node versions have a global WebSocket
+  const { WebSocket } = globalThis;
+  delete globalThis.WebSocket;
+  t.after(() => {
+    if (WebSocket) globalThis.WebSocket = WebSocket;
+  });
+
+  const manager = new SubscriptionManager('wss://api.example.com/graphql', async () => ({}));
+  const { events, handlers } = recorder();
+  manager.subscribe(QUERY, {}, handlers);
+  await settle();
+
+  assert.equal(events.length, 1);
+  assert.match(events[0][1].message, /WebSocket is not available/);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  QuicksliceClient,
+  OAuthError,
+  createMemoryStorageAdapter,
+} from '../src/node';
+
+// Answers token requests; set by each test
+let tokenResponse;
+
+globalThis.fetch = async (url) => {
+  if (String(url).endsWith('/oauth/token')) {
+    return tokenResponse();
+  }
+  return new Response(JSON.stringify({ data: {} }));
+};
+
+/**
+ * A client whose stored access token has expired, so the next request refreshes it
+ */
+async function createExpiredSession() {
+  const storage = createMemoryStorageAdapter();
+  const client = new QuicksliceClient({ server: 'https://api.example.com', clientId: 'client_abc', storage });
+  await client.init();
+
+  const prefix = `quickslice_${client['namespace']}_`;
+  await storage.setItem(`${prefix}access_token`, 'expired-token');
+  await storage.setItem(`${prefix}refresh_token`, 'refresh-token');
+  await storage.setItem(`${prefix}token_expires_at`, String(Date.now() - 1000));
+  await storage.setItem(`${prefix}client_id`, 'client_abc');
+  await storage.setItem(`${prefix}user_did`, 'did:plc:alice');
+
+  const events = [];
+  client.onAuthStateChange((event) => events.push(event));
+  return { client, events };
+}
+
+test('a 5xx from the token endpoint keeps the session and emits nothing', async () => {
+  const { client, events } = await createExpiredSession();
+  tokenResponse = () =>
+    new Response('Internal Server Error', { status: 500, statusText: 'Internal Server Error' });
+
+  await assert.rejects(client.getAccessToken(), (err) => {
+    assert.ok(err instanceof OAuthError);
+    assert.equal(err.code, 'refresh_failed');
+    return true;
+  });
+  assert.deepEqual(events, []);
+  assert.equal(await client.isAuthenticated(), true);
+
+  // The next refresh works once the server is back
+  tokenResponse = () =>
+    new Response(
+      JSON.stringify({ access_token: 'new-token', refresh_token: 'new-refresh', expires_in: 3600 })
+    );
+  assert.equal(await client.getAccessToken(), 'new-token');
+  assert.deepEqual(events, ['tokenRefreshed']);
+});
+
+test('invalid_grant clears the session and emits sessionExpired', async () => {
+  const { client, events } = await createExpiredSession();
+  tokenResponse = () =>
+    new Response(JSON.stringify({ error: 'invalid_grant', error_description: 'revoked' }), {
+      status: 400,
+    });
+
+  await assert.rejects(client.getAccessToken(), (err) => {
+    assert.ok(err instanceof OAuthError);
+    assert.equal(err.code, 'invalid_grant');
+    return true;
+  });
+  assert.deepEqual(events, ['sessionExpired']);
+  assert.equal(await client.isAuthenticated(), false);
+});